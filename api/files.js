@@ -0,0 +1,5 @@
+// Vercel serverless function for resuming retained downloads
+const { serverless } = require('../server/lib/http');
+const { files } = require('../server/lib/handlers');
+
+module.exports = serverless(files, ['GET', 'HEAD']);
@@ -0,0 +1,5 @@
+// Vercel serverless function for the readiness check
+const { serverless } = require('../server/lib/http');
+const { createHealthHandlers } = require('../server/lib/handlers');
+
+module.exports = serverless(createHealthHandlers(null).ready);
@@ -1,14 +1,5 @@
-// Vercel serverless function for health check
-module.exports = async (req, res) => {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-
-  res.status(200).json({ status: 'OK', message: 'YouTube Downloader API is running' });
-};
+// Vercel serverless function for the liveness check
+const { serverless } = require('../server/lib/http');
+const { createHealthHandlers } = require('../server/lib/handlers');
 
+module.exports = serverless(createHealthHandlers(null).live);
@@ -0,0 +1,5 @@
+// Vercel serverless function for listing a playlist or channel
+const { serverless } = require('../server/lib/http');
+const { playlistInfo } = require('../server/lib/handlers');
+
+module.exports = serverless(playlistInfo);
@@ -0,0 +1,5 @@
+// Vercel serverless function for downloading caption tracks
+const { serverless } = require('../server/lib/http');
+const { subtitles } = require('../server/lib/handlers');
+
+module.exports = serverless(subtitles);
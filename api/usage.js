@@ -0,0 +1,5 @@
+// Vercel serverless function for the caller's quota usage
+const { serverless } = require('../server/lib/http');
+const { usage } = require('../server/lib/handlers');
+
+module.exports = serverless(usage);
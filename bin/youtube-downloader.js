@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+// Command-line interface for scripts, cron and CI. Runs the server's own
+// extractor, validation and file naming locally, or with --server talks to a
+// running instance's /api instead
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const { parseArgs } = require('util');
+
+const SERVER_LIB = path.join(__dirname, '..', 'server', 'lib');
+
+// The server modules log every download; here that would only get in the way
+// of the command's own output, so only their errors are shown unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+// Exit codes per error class, so scripts can tell "fix the command" from
+// "try again later"
+const EXIT_CODES = {
+  OK: 0,
+  UNKNOWN: 1,
+  USAGE: 2,
+  INVALID_REQUEST: 3,
+  FORBIDDEN: 4,
+  NOT_FOUND: 5,
+  RATE_LIMITED: 6,
+  TIMEOUT: 7,
+  UNAVAILABLE: 8
+};
+
+const USAGE = `Usage: youtube-downloader <command> <url> [options]
+
+Commands:
+  info <url>        Video details, or the entries of a playlist/channel
+  formats <url>     Every stream available for a video
+  download <url>    Download a video or its audio
+
+Download options:
+  --format <fmt>         mp4 (default), mp3, m4a, opus, flac or wav
+  --quality <height>     Video height such as 1080 or 720p (best available otherwise)
+  --format-id <id>       Exact format_id from "formats" (overrides --quality)
+  --audio-bitrate <kbps> mp3 bitrate: 128, 192, 256 or 320
+  --start <time>         Clip start, seconds or hh:mm:ss
+  --end <time>           Clip end, seconds or hh:mm:ss
+  --precise              Re-encode around clip cuts for frame-accurate edges
+  --subtitles <langs>    Embed subtitles, e.g. en or en,de (mp4 only)
+  --template <template>  File name from {title}, {uploader}, {upload_date}, {id},
+                         {resolution}, {clip} and {ext}, e.g. "{uploader} - {title}"
+  --out <path>           Output file or directory (default: current directory)
+
+General options:
+  --json                 Machine-readable output on stdout, errors as JSON on stderr
+  --quiet                No progress output
+  --server <url>         Use a running instance, e.g. http://localhost:5000
+  --api-key <key>        API key for --server (default: $YOUTUBE_DOWNLOADER_API_KEY)
+  -h, --help             Show this help
+
+Exit codes:
+  0 success, 1 unexpected error, 2 bad command line, 3 invalid URL or options,
+  4 access refused (API key, quota, private or blocked video), 5 not found,
+  6 rate limited, 7 timed out, 8 service unavailable`;
+
+const OPTIONS = {
+  format: { type: 'string', default: 'mp4' },
+  quality: { type: 'string' },
+  'format-id': { type: 'string' },
+  'audio-bitrate': { type: 'string' },
+  start: { type: 'string' },
+  end: { type: 'string' },
+  precise: { type: 'boolean', default: false },
+  subtitles: { type: 'string' },
+  template: { type: 'string' },
+  out: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  quiet: { type: 'boolean', default: false },
+  server: { type: 'string' },
+  'api-key': { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Errors the CLI raises itself; exitCode picks the process exit status
+class CliError extends Error {
+  constructor(message, exitCode, code) {
+    super(message);
+    this.exitCode = exitCode;
+    this.code = code;
+  }
+}
+
+// Helper function to map an HTTP status (from HttpError or the API) to an exit code
+const exitCodeForStatus = (status) => {
+  if (status === 400) {
+    return EXIT_CODES.INVALID_REQUEST;
+  }
+  if (status === 401 || status === 403 || status === 451) {
+    return EXIT_CODES.FORBIDDEN;
+  }
+  if (status === 404 || status === 409) {
+    return EXIT_CODES.NOT_FOUND;
+  }
+  if (status === 429) {
+    return EXIT_CODES.RATE_LIMITED;
+  }
+  if (status === 504) {
+    return EXIT_CODES.TIMEOUT;
+  }
+  if (status === 503) {
+    return EXIT_CODES.UNAVAILABLE;
+  }
+  return EXIT_CODES.UNKNOWN;
+};
+
+// Helper function to turn "1080", "1080p" into a height
+const parseQuality = (quality) => {
+  const match = /^(\d+)p?$/i.exec(quality.trim());
+  if (!match) {
+    throw new CliError(`--quality must be a height such as 1080 or 720p, got "${quality}"`, EXIT_CODES.USAGE, 'USAGE');
+  }
+  return parseInt(match[1], 10);
+};
+
+// Helper function to gather the download query both modes send
+const toDownloadParams = (values) => {
+  const params = { format: values.format };
+  if (values['format-id']) {
+    params.formatId = values['format-id'];
+  }
+  if (values['audio-bitrate']) {
+    params.audioBitrate = values['audio-bitrate'];
+  }
+  if (values.start !== undefined) {
+    params.start = values.start;
+  }
+  if (values.end !== undefined) {
+    params.end = values.end;
+  }
+  if (values.start !== undefined || values.end !== undefined) {
+    params.precise = values.precise ? '1' : '0';
+  }
+  if (values.subtitles) {
+    params.subtitles = values.subtitles;
+  }
+  if (values.template) {
+    params.template = values.template;
+  }
+  return params;
+};
+
+// Helper function to decide where a download goes: --out as a directory
+// (existing, or ending in a separator) gets the default file name
+const resolveOutputPath = (out, fileName) => {
+  if (!out) {
+    return path.resolve(fileName);
+  }
+  const isDir = /[\\/]$/.test(out) || (fs.existsSync(out) && fs.statSync(out).isDirectory());
+  if (isDir) {
+    fs.mkdirSync(out, { recursive: true });
+    return path.resolve(out, fileName);
+  }
+  fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+  return path.resolve(out);
+};
+
+// Helper function to move a finished file, copying when it crosses devices
+const moveFile = (from, to) => {
+  try {
+    fs.renameSync(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') {
+      throw err;
+    }
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+};
+
+// Progress on stderr, rewritten in place on a terminal
+const createProgressReporter = (quiet) => {
+  if (quiet) {
+    return () => {};
+  }
+  let last = -1;
+  return (percent) => {
+    const rounded = Math.floor(percent);
+    if (rounded === last) {
+      return;
+    }
+    last = rounded;
+    if (process.stderr.isTTY) {
+      process.stderr.write(`\rDownloading... ${rounded}%${rounded >= 100 ? '\n' : ''}`);
+    } else if (rounded % 10 === 0) {
+      process.stderr.write(`Downloading... ${rounded}%\n`);
+    }
+  };
+};
+
+// Runs the commands in this process, on the server's own modules
+const createLocalBackend = () => {
+  const { HttpError } = require(path.join(SERVER_LIB, 'errors'));
+  const { getVideoInfo, download } = require(path.join(SERVER_LIB, 'extractors'));
+  const { parseYouTubeURL, requireVideoURL, requireCollectionURL } = require(path.join(SERVER_LIB, 'youtube-url'));
+  const { getPlaylist } = require(path.join(SERVER_LIB, 'playlist'));
+  const { toFormatList, toPlaylistSummary, toVideoSummary } = require(path.join(SERVER_LIB, 'summaries'));
+  const { storage } = require(path.join(SERVER_LIB, 'storage'));
+  const { getFileNameFields, renderFileName, resolveTemplate } = require(path.join(SERVER_LIB, 'filenames'));
+  const {
+    resolveDownloadRequest,
+    findFormatIdByHeight,
+    buildDownloadOptions,
+    estimateSelectionBytes,
+    findDownloadedFile
+  } = require(path.join(SERVER_LIB, 'download-options'));
+
+  const info = async (url) => {
+    const parsed = parseYouTubeURL(url);
+    if (parsed.ok && (parsed.kind === 'playlist' || parsed.kind === 'channel')) {
+      const link = requireCollectionURL(url);
+      const { info: playlistInfo, entries } = await getPlaylist(link.canonicalUrl);
+      return toPlaylistSummary(playlistInfo, entries);
+    }
+    const link = requireVideoURL(url);
+    const { info: videoInfo } = await getVideoInfo(link.canonicalUrl);
+    return toVideoSummary(videoInfo, link);
+  };
+
+  const formats = async (url) => {
+    const link = requireVideoURL(url);
+    const { info: videoInfo } = await getVideoInfo(link.canonicalUrl);
+    return toFormatList(videoInfo);
+  };
+
+  const downloadVideo = async (url, params, { quality, out, onProgress }) => {
+    const link = requireVideoURL(url);
+    const template = resolveTemplate(params.template);
+    const { info: videoInfo } = await getVideoInfo(link.canonicalUrl);
+    if (quality && !params.formatId && params.format === 'mp4') {
+      params.formatId = findFormatIdByHeight(videoInfo, quality);
+      if (!params.formatId) {
+        throw new HttpError(400, `No ${quality}p stream is available for this video`, 'FORMAT_UNAVAILABLE');
+      }
+    }
+    const { selection, error } = resolveDownloadRequest(videoInfo, params);
+    if (error) {
+      throw new HttpError(400, error, 'INVALID_REQUEST');
+    }
+
+    return storage.run(async (workspace) => {
+      const downloadOptions = buildDownloadOptions(selection, path.join(workspace.dir, 'media.%(ext)s'));
+      await download(link.canonicalUrl, downloadOptions, {
+        onProgress: (progress) => onProgress(progress.percent || 0)
+      }).done;
+      const downloadedFile = findDownloadedFile(workspace.dir, 'media', selection.audio && selection.audio.format);
+      if (!downloadedFile) {
+        throw new Error('Downloaded file not found');
+      }
+      const ext = path.extname(downloadedFile).slice(1);
+      const filePath = resolveOutputPath(out, renderFileName(template, getFileNameFields(videoInfo, selection), ext));
+      moveFile(path.join(workspace.dir, downloadedFile), filePath);
+      return { file: filePath, size: fs.statSync(filePath).size, title: videoInfo.title || null };
+    }, { estimateBytes: estimateSelectionBytes(videoInfo, selection), force: true });
+  };
+
+  return { info, formats, download: downloadVideo };
+};
+
+// Runs the commands against a running instance's /api
+const createServerBackend = (server, apiKey) => {
+  const base = server.replace(/\/+$/, '');
+  const headers = apiKey ? { 'X-API-Key': apiKey } : {};
+
+  // Helper function to call the API, turning error responses into CliErrors
+  const request = async (route, query) => {
+    let response;
+    try {
+      response = await fetch(`${base}/api/${route}?${new URLSearchParams(query)}`, { headers });
+    } catch (err) {
+      throw new CliError(`Could not reach ${base}: ${err.cause ? err.cause.message : err.message}`, EXIT_CODES.UNAVAILABLE, 'UNREACHABLE');
+    }
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new CliError(body.error || `Server answered ${response.status}`, exitCodeForStatus(response.status), body.code);
+    }
+    return response;
+  };
+
+  const info = async (url) => {
+    try {
+      return await (await request('video-info', { url })).json();
+    } catch (err) {
+      // The server says which links are playlists; list those instead
+      if (err.code !== 'PLAYLIST_URL') {
+        throw err;
+      }
+      return (await request('playlist-info', { url })).json();
+    }
+  };
+
+  const formats = async (url) => (await request('formats', { url })).json();
+
+  const downloadVideo = async (url, params, { quality, out, onProgress }) => {
+    if (quality && !params.formatId && params.format === 'mp4') {
+      const available = await formats(url);
+      const match = available
+        .filter(f => f.hasVideo && f.height === quality)
+        .sort((a, b) => (b.ext === 'mp4') - (a.ext === 'mp4') || (b.tbr || 0) - (a.tbr || 0))[0];
+      if (!match) {
+        throw new CliError(`No ${quality}p stream is available for this video`, EXIT_CODES.INVALID_REQUEST, 'INVALID_REQUEST');
+      }
+      params.formatId = match.format_id;
+    }
+
+    const response = await request('download', { url, ...params });
+    const disposition = response.headers.get('content-disposition') || '';
+    const encoded = /filename\*=UTF-8''([^;]+)/i.exec(disposition);
+    const plain = /filename="([^"]+)"/i.exec(disposition);
+    const fileName = path.basename(encoded ? decodeURIComponent(encoded[1]) : (plain ? plain[1] : 'download'));
+    const filePath = resolveOutputPath(out, fileName);
+
+    // Streamed responses have no length, so progress is only known for staged ones
+    const total = Number(response.headers.get('content-length')) || 0;
+    let received = 0;
+    const body = Readable.fromWeb(response.body);
+    if (total) {
+      body.on('data', (chunk) => {
+        received += chunk.length;
+        onProgress((received / total) * 100);
+      });
+    }
+    const partPath = `${filePath}.part`;
+    try {
+      await pipeline(body, fs.createWriteStream(partPath));
+    } catch (err) {
+      fs.rmSync(partPath, { force: true });
+      throw new CliError(`Download interrupted: ${err.message}`, EXIT_CODES.UNKNOWN, 'INTERRUPTED');
+    }
+    fs.renameSync(partPath, filePath);
+    return { file: filePath, size: fs.statSync(filePath).size, title: null };
+  };
+
+  return { info, formats, download: downloadVideo };
+};
+
+// Human-readable output for each command
+const printHuman = (command, result) => {
+  if (command === 'formats') {
+    result.forEach(f => {
+      const kind = f.hasVideo ? (f.hasAudio ? 'video+audio' : 'video only') : 'audio only';
+      console.log([f.format_id.padEnd(8), f.ext.padEnd(5), String(f.resolution).padEnd(10), kind].join(' '));
+    });
+  } else if (command === 'download') {
+    console.log(`Saved ${result.file} (${result.size} bytes)`);
+  } else if (result.entries) {
+    console.log(`${result.title} - ${result.author} (${result.entryCount} videos)`);
+    result.entries.forEach(entry => console.log(`  ${entry.id}  ${entry.title}`));
+  } else {
+    console.log(result.title);
+    console.log(`  Author:   ${result.author}`);
+    console.log(`  Duration: ${result.duration}s`);
+    console.log(`  Video id: ${result.videoId}`);
+    console.log(`  Formats:  ${result.formats.length}`);
+  }
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new CliError(err.message, EXIT_CODES.USAGE, 'USAGE');
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  const [command, url, ...extra] = positionals;
+  if (!['info', 'formats', 'download'].includes(command) || !url || extra.length > 0) {
+    throw new CliError(command ? `Expected "<command> <url>"\n\n${USAGE}` : USAGE, EXIT_CODES.USAGE, 'USAGE');
+  }
+
+  const apiKey = values['api-key'] || process.env.YOUTUBE_DOWNLOADER_API_KEY;
+  const backend = values.server ? createServerBackend(values.server, apiKey) : createLocalBackend();
+
+  let result;
+  if (command === 'download') {
+    result = await backend.download(url, toDownloadParams(values), {
+      quality: values.quality ? parseQuality(values.quality) : null,
+      out: values.out,
+      onProgress: createProgressReporter(values.quiet || values.json)
+    });
+  } else {
+    result = await backend[command](url);
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printHuman(command, result);
+  }
+  return EXIT_CODES.OK;
+};
+
+main().then((code) => {
+  process.exitCode = code;
+}, (error) => {
+  const json = process.argv.includes('--json');
+  let exitCode = error.exitCode;
+  let code = error.code;
+  if (exitCode === undefined) {
+    // Errors from the server modules carry an HTTP status
+    const { toErrorResponse } = require(path.join(SERVER_LIB, 'errors'));
+    const { status, body } = toErrorResponse(error, 'Unexpected error');
+    exitCode = exitCodeForStatus(status);
+    code = body.code;
+  }
+  if (json) {
+    console.error(JSON.stringify({ error: error.message, code: code || null, exitCode }));
+  } else {
+    console.error(error.exitCode === EXIT_CODES.USAGE ? error.message : `Error: ${error.message}`);
+  }
+  process.exitCode = exitCode;
+});
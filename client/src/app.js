@@ -1,15 +1,96 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import axios from 'axios';
-import { Download, Play, Music, AlertCircle, CheckCircle, Loader, Info } from 'lucide-react';
+import { Download, Play, Music, AlertCircle, CheckCircle, Clock, Loader, Info, ListPlus, Rss, Subtitles } from 'lucide-react';
+import BatchView from './batch-view';
+import DownloadProgress from './download-progress';
+import FileNameSetting from './file-name-setting';
+import HistoryPanel from './history-panel';
+import PlaylistView from './playlist-view';
+import SubscriptionsView from './subscriptions-view';
+import {
+  loadFileNameTemplate,
+  parseContentDisposition,
+  saveFileNameTemplate,
+  toFileNameFields,
+  validateTemplate
+} from './filenames';
+import { addHistoryRecord, createHistoryRecord, importHistory, loadHistory, saveHistory } from './history';
+import {
+  AUDIO_FORMAT_OPTIONS,
+  formatDuration,
+  formatFileSize,
+  getErrorMessage,
+  getRateLimitNotice,
+  isCollectionUrl,
+  parseTimestamp,
+  withErrorGuidance
+} from './utils';
+
+const MP3_BITRATES = ['128', '192', '256', '320'];
+const CAPTION_FORMAT_OPTIONS = [
+  { value: 'srt', label: 'SRT' },
+  { value: 'vtt', label: 'WebVTT' },
+  { value: 'txt', label: 'Plain-text transcript' }
+];
 
 function App() {
   const [url, setUrl] = useState('');
   const [format, setFormat] = useState('mp4');
   const [videoInfo, setVideoInfo] = useState(null);
+  const [playlist, setPlaylist] = useState(null);
+  const [formats, setFormats] = useState([]);
+  const [formatId, setFormatId] = useState('');
+  const [audioFormatId, setAudioFormatId] = useState('');
+  const [audioBitrate, setAudioBitrate] = useState('192');
+  const [clipStart, setClipStart] = useState('');
+  const [clipEnd, setClipEnd] = useState('');
+  const [preciseCuts, setPreciseCuts] = useState(false);
+  const [captionTrack, setCaptionTrack] = useState('');
+  const [captionFormat, setCaptionFormat] = useState('srt');
+  const [embedCaptions, setEmbedCaptions] = useState(false);
   const [loading, setLoading] = useState(false);
   const [downloading, setDownloading] = useState(false);
+  const [job, setJob] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const eventSourceRef = useRef(null);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [notice, setNotice] = useState('');
+  // 'single', 'batch' or 'subscriptions'
+  const [mode, setMode] = useState('single');
+  const [history, setHistory] = useState(loadHistory);
+  const [fileNameTemplate, setFileNameTemplate] = useState(loadFileNameTemplate);
+  // What the running single-video download is, for its history record
+  const downloadRef = useRef(null);
+
+  // Stop listening for progress when the app unmounts
+  useEffect(() => () => {
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close();
+    }
+  }, []);
+
+  useEffect(() => {
+    saveHistory(history);
+  }, [history]);
+
+  useEffect(() => {
+    saveFileNameTemplate(fileNameTemplate);
+  }, [fileNameTemplate]);
+
+  const rememberDownload = useCallback((details) => {
+    setHistory(records => addHistoryRecord(records, createHistoryRecord(details)));
+  }, []);
+
+  // Show a failed request as an error, or as a notice when it was rate limited
+  const reportError = useCallback((error, fallback) => {
+    const rateLimitNotice = getRateLimitNotice(error);
+    if (rateLimitNotice) {
+      setNotice(rateLimitNotice);
+    } else {
+      setError(getErrorMessage(error, fallback));
+    }
+  }, []);
 
   const getVideoInfo = async () => {
     if (!url.trim()) {
@@ -19,90 +100,348 @@ function App() {
 
     setLoading(true);
     setError('');
+    setNotice('');
     setVideoInfo(null);
+    setPlaylist(null);
+    setFormats([]);
+    setFormatId('');
+    setAudioFormatId('');
+    setCaptionTrack('');
+    setEmbedCaptions(false);
+
+    if (isCollectionUrl(url)) {
+      await getPlaylistInfo();
+      setLoading(false);
+      return;
+    }
 
     try {
       const response = await axios.get(`/api/video-info?url=${encodeURIComponent(url)}`);
       setVideoInfo(response.data);
       setSuccess('Video information retrieved successfully!');
+
+      // The quality picker is optional, so a failure here keeps the default download
+      try {
+        const formatsResponse = await axios.get(`/api/formats?url=${encodeURIComponent(url)}`);
+        setFormats(formatsResponse.data);
+      } catch (formatsError) {
+        console.error('Error getting formats:', formatsError.response?.data || formatsError);
+      }
     } catch (error) {
-      // Handle error response properly
-      const errorMessage = error.response?.data?.error || 
-                          error.response?.data?.message || 
-                          error.message || 
-                          'Failed to get video information';
-      setError(typeof errorMessage === 'string' ? errorMessage : 'Failed to get video information');
-      console.error('Error getting video info:', error.response?.data || error);
+      if (error.response?.data?.code === 'PLAYLIST_URL') {
+        await getPlaylistInfo();
+      } else {
+        reportError(error, 'Failed to get video information');
+        console.error('Error getting video info:', error.response?.data || error);
+      }
     } finally {
       setLoading(false);
     }
   };
 
-  const downloadVideo = async () => {
-    if (!url.trim()) {
-      setError('Please enter a YouTube URL');
-      return;
+  const getPlaylistInfo = async () => {
+    try {
+      const response = await axios.get(`/api/playlist-info?url=${encodeURIComponent(url)}`);
+      setPlaylist(response.data);
+      setSuccess(`Found ${response.data.entryCount} videos. Pick the ones to download.`);
+    } catch (error) {
+      reportError(error, 'Failed to get playlist information');
+      console.error('Error getting playlist info:', error.response?.data || error);
+    }
+  };
+
+  // Let the browser save the file natively instead of buffering it in memory
+  const saveFile = (fileUrl) => {
+    const link = document.createElement('a');
+    link.href = fileUrl;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
+  const buildDownloadParams = () => {
+    const params = { url, format };
+    if (format === 'mp4' && formatId) {
+      params.formatId = formatId;
+      if (audioFormatId) {
+        params.audioFormatId = audioFormatId;
+      }
+    }
+    if (format === 'mp3') {
+      params.audioBitrate = audioBitrate;
+    }
+    if (format === 'mp4' && embedCaptions && captionTrack) {
+      params.subtitles = captionTrack.split(':')[1];
     }
+    if (clipStart.trim() || clipEnd.trim()) {
+      if (clipStart.trim()) {
+        params.start = clipStart.trim();
+      }
+      if (clipEnd.trim()) {
+        params.end = clipEnd.trim();
+      }
+      params.precise = preciseCuts ? '1' : '0';
+    }
+    if (fileNameTemplate.trim()) {
+      params.template = fileNameTemplate;
+    }
+    return params;
+  };
+
+  // Save a response body that is already in memory under the name the
+  // server gave it (or fallbackName)
+  const saveResponse = (response, fallbackName) => {
+    const blob = new Blob([response.data]);
+    const downloadUrl = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+
+    // Get filename from response headers or create one
+    const filename = parseContentDisposition(response.headers['content-disposition']) || fallbackName;
+
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(downloadUrl);
+    return { fileName: filename, fileSize: blob.size };
+  };
 
+  // Fallback for deployments without the job API (e.g. the serverless functions)
+  const downloadDirect = async (params) => {
+    const response = await axios.get(`/api/download?${new URLSearchParams(params).toString()}`, {
+      responseType: 'blob'
+    });
+    return saveResponse(response, 'youtube_video');
+  };
+
+  const finishDownload = () => {
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close();
+      eventSourceRef.current = null;
+    }
+    setDownloading(false);
+    setCancelling(false);
+  };
+
+  const handleJobUpdate = (update) => {
+    setJob(update);
+    if (update.state === 'completed') {
+      saveFile(`/api/jobs/${update.id}/file`);
+      if (downloadRef.current) {
+        rememberDownload({ ...downloadRef.current, fileName: update.fileName, fileSize: update.fileSize });
+        downloadRef.current = null;
+      }
+      setSuccess('Download completed successfully!');
+      finishDownload();
+    } else if (update.state === 'failed') {
+      setError(update.error ? withErrorGuidance(update.error, update.errorCode) : 'Failed to download video. Please try again.');
+      finishDownload();
+    } else if (update.state === 'cancelled') {
+      setSuccess('Download cancelled.');
+      finishDownload();
+    }
+  };
+
+  const watchJob = (jobId) => {
+    const eventSource = new EventSource(`/api/jobs/${jobId}/events`);
+    eventSourceRef.current = eventSource;
+    eventSource.onmessage = (event) => handleJobUpdate(JSON.parse(event.data));
+    eventSource.onerror = () => {
+      // EventSource retries on its own; CLOSED means it gave up
+      if (eventSource.readyState === EventSource.CLOSED && eventSourceRef.current === eventSource) {
+        setError('Lost connection to the download. Please try again.');
+        finishDownload();
+      }
+    };
+  };
+
+  // video and quality describe the download for its history record
+  const startDownload = async (params, video, quality) => {
     setDownloading(true);
     setError('');
+    setNotice('');
+    setSuccess('');
+    setJob(null);
+    downloadRef.current = { video, params, quality };
 
     try {
-      const response = await axios.get(`/api/download?url=${encodeURIComponent(url)}&format=${format}`, {
-        responseType: 'blob'
-      });
-
-      // Create download link
-      const blob = new Blob([response.data]);
-      const downloadUrl = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = downloadUrl;
-      
-      // Get filename from response headers or create one
-      const contentDisposition = response.headers['content-disposition'];
-      let filename = 'youtube_video';
-      if (contentDisposition) {
-        const filenameMatch = contentDisposition.match(/filename="(.+)"/);
-        if (filenameMatch) {
-          filename = filenameMatch[1];
+      const response = await axios.post('/api/jobs', params);
+      handleJobUpdate(response.data);
+      watchJob(response.data.id);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        try {
+          const file = await downloadDirect(params);
+          rememberDownload({ video, params, quality, ...file });
+          setSuccess('Download completed successfully!');
+        } catch (directError) {
+          reportError(directError, 'Failed to download video. Please try again.');
+          console.error('Error downloading video:', directError.response?.data || directError);
         }
+      } else {
+        reportError(error, 'Failed to download video. Please try again.');
+        console.error('Error downloading video:', error.response?.data || error);
       }
-      
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(downloadUrl);
+      downloadRef.current = null;
+      finishDownload();
+    }
+  };
 
-      setSuccess('Download completed successfully!');
+  const downloadVideo = () => {
+    if (!url.trim()) {
+      setError('Please enter a YouTube URL');
+      return;
+    }
+    const picked = format === 'mp4' && formats.find(f => f.format_id === formatId);
+    startDownload(buildDownloadParams(), videoInfo, picked && picked.height ? `${picked.height}p` : null);
+  };
+
+  // Put a history record's video and settings back in the form and download
+  // it again; the stored params are sent unchanged
+  const redownload = (record) => {
+    const { params } = record;
+    setMode('single');
+    setUrl(params.url);
+    setPlaylist(null);
+    setFormats([]);
+    setFormat(params.format);
+    setFormatId(params.formatId || '');
+    setAudioFormatId(params.audioFormatId || '');
+    if (params.audioBitrate) {
+      setAudioBitrate(params.audioBitrate);
+    }
+    setClipStart(params.start || '');
+    setClipEnd(params.end || '');
+    setPreciseCuts(params.precise === '1');
+    setCaptionTrack('');
+    setEmbedCaptions(false);
+    const video = {
+      title: record.title,
+      author: record.author,
+      thumbnail: record.thumbnail,
+      duration: record.duration
+    };
+    setVideoInfo(video);
+    startDownload(params, video, record.quality);
+  };
+
+  const importHistoryFile = (text) => {
+    try {
+      const { records, added } = importHistory(history, text);
+      setHistory(records);
+      setError('');
+      setSuccess(`Imported ${added} download${added === 1 ? '' : 's'} into the history.`);
+    } catch (importError) {
+      setSuccess('');
+      setError(importError instanceof SyntaxError ? 'This file is not valid JSON' : importError.message);
+    }
+  };
+
+  const cancelDownload = async () => {
+    if (!job) {
+      return;
+    }
+    setCancelling(true);
+    try {
+      await axios.delete(`/api/jobs/${job.id}`);
     } catch (error) {
-      const errorMessage = error.response?.data?.error || 
-                          error.response?.data?.message || 
-                          error.message || 
-                          'Failed to download video. Please try again.';
-      setError(typeof errorMessage === 'string' ? errorMessage : 'Failed to download video. Please try again.');
-      console.error('Error downloading video:', error.response?.data || error);
-    } finally {
-      setDownloading(false);
+      reportError(error, 'Failed to cancel the download');
+      setCancelling(false);
+    }
+  };
+
+  const describeFormat = (f) => {
+    const parts = [];
+    if (f.hasVideo) {
+      parts.push(f.height ? `${f.height}p${f.fps > 30 ? f.fps : ''}` : f.resolution);
+      parts.push(f.vcodec.split('.')[0]);
+    } else {
+      parts.push(f.tbr ? `${Math.round(f.tbr)} kbps` : f.format_note || 'audio');
+      parts.push(f.acodec.split('.')[0]);
+    }
+    parts.push(f.ext);
+    if (f.hasVideo && !f.hasAudio) {
+      parts.push('video only');
     }
+    const size = formatFileSize(f.filesize);
+    if (size) {
+      parts.push(size);
+    }
+    return parts.join(' · ');
   };
 
-  const formatDuration = (seconds) => {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
+  const videoFormats = formats
+    .filter(f => f.hasVideo)
+    .sort((a, b) => (b.height || 0) - (a.height || 0) || (b.tbr || 0) - (a.tbr || 0));
+  const audioFormats = formats
+    .filter(f => f.hasAudio && !f.hasVideo)
+    .sort((a, b) => (b.tbr || 0) - (a.tbr || 0));
 
-    if (hours > 0) {
-      return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  // captionTrack is "manual:<lang>" or "auto:<lang>"
+  // Captions are small, so they are fetched first: a failure then shows up
+  // as an error instead of being saved as the caption file
+  const downloadCaptions = async () => {
+    const [kind, lang] = captionTrack.split(':');
+    const params = new URLSearchParams({ url, lang, format: captionFormat });
+    if (kind === 'auto') {
+      params.set('auto', '1');
+    }
+    setError('');
+    setNotice('');
+    try {
+      const response = await axios.get(`/api/subtitles?${params.toString()}`, { responseType: 'text' });
+      saveResponse(response, `captions.${captionFormat}`);
+    } catch (error) {
+      // The error body was read as text too
+      if (typeof error.response?.data === 'string') {
+        try {
+          error.response.data = JSON.parse(error.response.data);
+        } catch (parseError) {
+          // Not JSON; the fallback message is used
+        }
+      }
+      reportError(error, 'Failed to download captions. Please try again.');
     }
-    return `${minutes}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // Same rules as the server: both bounds optional, end after start, inside the video
+  const getClipError = () => {
+    if (!videoInfo || (!clipStart.trim() && !clipEnd.trim())) {
+      return '';
+    }
+    const start = clipStart.trim() ? parseTimestamp(clipStart) : 0;
+    const end = clipEnd.trim() ? parseTimestamp(clipEnd) : videoInfo.duration;
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      return 'Use seconds or hh:mm:ss';
+    }
+    if (end <= start) {
+      return 'End must be after start';
+    }
+    if (videoInfo.duration && (start >= videoInfo.duration || end > videoInfo.duration)) {
+      return `Clip must end by ${formatDuration(videoInfo.duration)}`;
+    }
+    return '';
+  };
+  const clipError = getClipError();
+  const templateError = validateTemplate(fileNameTemplate);
+  const selectedFormat = formats.find(f => f.format_id === formatId);
+  const fileNameFields = toFileNameFields(videoInfo, { format, formats, formatId, start: clipStart, end: clipEnd });
+  const fileNameExt = format === 'mp4' ? (selectedFormat && selectedFormat.ext === 'webm' ? 'webm' : 'mp4') : format;
+
   const handleUrlChange = (e) => {
     setUrl(e.target.value);
     setError('');
+    setNotice('');
     setSuccess('');
     setVideoInfo(null);
+    setPlaylist(null);
+    setFormats([]);
+    setFormatId('');
+    setAudioFormatId('');
+    setClipStart('');
+    setClipEnd('');
   };
 
   return (
@@ -134,152 +473,422 @@ function App() {
       {/* Main Content */}
       <main className="main-content">
         <div className="content-wrapper">
-          {/* Left Panel - Download Form */}
-          <div className="download-panel">
-            <div className="panel-header">
-              <h2>Download Video</h2>
-              <p>Enter a YouTube URL to get started</p>
-            </div>
+          <div className="mode-tabs">
+            <button
+              className={`mode-tab ${mode === 'single' ? 'active' : ''}`}
+              onClick={() => setMode('single')}
+              disabled={downloading}
+            >
+              <Play size={16} />
+              Single video
+            </button>
+            <button
+              className={`mode-tab ${mode === 'batch' ? 'active' : ''}`}
+              onClick={() => setMode('batch')}
+              disabled={downloading}
+            >
+              <ListPlus size={16} />
+              Batch
+            </button>
+            <button
+              className={`mode-tab ${mode === 'subscriptions' ? 'active' : ''}`}
+              onClick={() => setMode('subscriptions')}
+              disabled={downloading}
+            >
+              <Rss size={16} />
+              Subscriptions
+            </button>
+          </div>
 
-            <div className="form-section">
-              <div className="input-group">
-                <label htmlFor="youtube-url">YouTube Video URL</label>
-                <input
-                  type="text"
-                  id="youtube-url"
-                  className="url-input"
-                  placeholder="https://www.youtube.com/watch?v=..."
-                  value={url}
-                  onChange={handleUrlChange}
-                  onKeyPress={(e) => e.key === 'Enter' && getVideoInfo()}
-                />
+          {mode === 'batch' && (
+            <BatchView
+              onDownloaded={rememberDownload}
+              saveFile={saveFile}
+              fileNameTemplate={fileNameTemplate}
+              onFileNameTemplateChange={setFileNameTemplate}
+            />
+          )}
+          {mode === 'subscriptions' && (
+            <SubscriptionsView
+              fileNameTemplate={fileNameTemplate}
+              onFileNameTemplateChange={setFileNameTemplate}
+            />
+          )}
+          {mode === 'single' && (
+            <>
+            {/* Left Panel - Download Form */}
+            <div className="download-panel">
+              <div className="panel-header">
+                <h2>Download Video</h2>
+                <p>Enter a YouTube URL to get started</p>
               </div>
 
-              <div className="format-selector">
-                <div className="format-option">
+              <div className="form-section">
+                <div className="input-group">
+                  <label htmlFor="youtube-url">YouTube Video, Playlist or Channel URL</label>
                   <input
-                    type="radio"
-                    id="mp4"
-                    name="format"
-                    value="mp4"
-                    checked={format === 'mp4'}
-                    onChange={(e) => setFormat(e.target.value)}
+                    type="text"
+                    id="youtube-url"
+                    className="url-input"
+                    placeholder="https://www.youtube.com/watch?v=..."
+                    value={url}
+                    onChange={handleUrlChange}
+                    onKeyPress={(e) => e.key === 'Enter' && getVideoInfo()}
                   />
-                  <label htmlFor="mp4">
-                    <Play size={16} />
-                    MP4 Video
-                  </label>
                 </div>
-                <div className="format-option">
-                  <input
-                    type="radio"
-                    id="mp3"
-                    name="format"
-                    value="mp3"
-                    checked={format === 'mp3'}
-                    onChange={(e) => setFormat(e.target.value)}
-                  />
-                  <label htmlFor="mp3">
-                    <Music size={16} />
-                    MP3 Audio
-                  </label>
-                </div>
-              </div>
-
-              <button
-                className="primary-btn"
-                onClick={getVideoInfo}
-                disabled={loading || downloading}
-              >
-                {loading ? (
-                  <>
-                    <Loader className="spinner" size={20} />
-                    Analyzing Video...
-                  </>
-                ) : (
-                  <>
-                    <Info size={20} />
-                    Get Video Information
-                  </>
-                )}
-              </button>
-
-              {error && (
-                <div className="error-message">
-                  <AlertCircle size={16} />
-                  {error}
-                </div>
-              )}
 
-              {success && (
-                <div className="success-message">
-                  <CheckCircle size={16} />
-                  {success}
+                <div className="format-selector">
+                  <div className="format-option">
+                    <input
+                      type="radio"
+                      id="mp4"
+                      name="format"
+                      value="mp4"
+                      checked={format === 'mp4'}
+                      onChange={(e) => setFormat(e.target.value)}
+                    />
+                    <label htmlFor="mp4">
+                      <Play size={16} />
+                      MP4 Video
+                    </label>
+                  </div>
+                  <div className="format-option">
+                    <input
+                      type="radio"
+                      id="audio"
+                      name="format"
+                      value="mp3"
+                      checked={format !== 'mp4'}
+                      onChange={(e) => setFormat(e.target.value)}
+                    />
+                    <label htmlFor="audio">
+                      <Music size={16} />
+                      Audio Only
+                    </label>
+                  </div>
                 </div>
-              )}
-            </div>
-          </div>
 
-          {/* Right Panel - Video Info */}
-          <div className="info-panel">
-            {videoInfo ? (
-              <div className="video-info-card">
-                <div className="video-header">
-                  <h3>Video Information</h3>
-                  <div className="video-thumbnail">
-                    {videoInfo.thumbnail && (
-                      <img
-                        src={videoInfo.thumbnail}
-                        alt="Video thumbnail"
-                        className="thumbnail"
-                      />
+                {format !== 'mp4' && (
+                  <div className="quality-picker">
+                    <div className="input-group">
+                      <label htmlFor="audio-output">Audio format</label>
+                      <select
+                        id="audio-output"
+                        className="format-select"
+                        value={format}
+                        onChange={(e) => setFormat(e.target.value)}
+                      >
+                        {AUDIO_FORMAT_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    {format === 'mp3' && (
+                      <div className="input-group">
+                        <label htmlFor="audio-bitrate">Bitrate</label>
+                        <select
+                          id="audio-bitrate"
+                          className="format-select"
+                          value={audioBitrate}
+                          onChange={(e) => setAudioBitrate(e.target.value)}
+                        >
+                          {MP3_BITRATES.map(bitrate => (
+                            <option key={bitrate} value={bitrate}>
+                              {bitrate} kbps
+                            </option>
+                          ))}
+                        </select>
+                      </div>
                     )}
                   </div>
-                </div>
-                
-                <div className="video-details">
-                  <div className="detail-item">
-                    <span className="detail-label">Title:</span>
-                    <span className="detail-value">{videoInfo.title}</span>
-                  </div>
-                  <div className="detail-item">
-                    <span className="detail-label">Author:</span>
-                    <span className="detail-value">{videoInfo.author}</span>
-                  </div>
-                  <div className="detail-item">
-                    <span className="detail-label">Duration:</span>
-                    <span className="detail-value">{formatDuration(videoInfo.duration)}</span>
-                  </div>
-                </div>
+                )}
+
+                <FileNameSetting
+                  template={fileNameTemplate}
+                  onChange={setFileNameTemplate}
+                  fields={fileNameFields}
+                  ext={fileNameExt}
+                />
 
                 <button
-                  className="download-btn"
-                  onClick={downloadVideo}
-                  disabled={downloading}
+                  className="primary-btn"
+                  onClick={getVideoInfo}
+                  disabled={loading || downloading}
                 >
-                  {downloading ? (
+                  {loading ? (
                     <>
                       <Loader className="spinner" size={20} />
-                      Downloading...
+                      Analyzing Video...
                     </>
                   ) : (
                     <>
-                      <Download size={20} />
-                      Download {format.toUpperCase()}
+                      <Info size={20} />
+                      Get Video Information
                     </>
                   )}
                 </button>
+
+                {error && (
+                  <div className="error-message">
+                    <AlertCircle size={16} />
+                    {error}
+                  </div>
+                )}
+
+                {notice && (
+                  <div className="notice-message">
+                    <Clock size={16} />
+                    {notice}
+                  </div>
+                )}
+
+                {success && (
+                  <div className="success-message">
+                    <CheckCircle size={16} />
+                    {success}
+                  </div>
+                )}
               </div>
-            ) : (
-              <div className="empty-state">
-                <div className="empty-icon">
-                  <Play size={48} />
+            </div>
+
+            {/* Right Panel - Video Info */}
+            <div className="info-panel">
+              {playlist ? (
+                <PlaylistView
+                  key={playlist.id}
+                  url={url}
+                  playlist={playlist}
+                  format={format}
+                  audioBitrate={audioBitrate}
+                  fileNameTemplate={templateError ? '' : fileNameTemplate}
+                  onError={reportError}
+                  onSuccess={setSuccess}
+                  onDownloaded={rememberDownload}
+                  saveFile={saveFile}
+                />
+              ) : videoInfo ? (
+                <div className="video-info-card">
+                  <div className="video-header">
+                    <h3>Video Information</h3>
+                    <div className="video-thumbnail">
+                      {videoInfo.thumbnail && (
+                        <img
+                          src={videoInfo.thumbnail}
+                          alt="Video thumbnail"
+                          className="thumbnail"
+                        />
+                      )}
+                    </div>
+                  </div>
+                  
+                  <div className="video-details">
+                    <div className="detail-item">
+                      <span className="detail-label">Title:</span>
+                      <span className="detail-value">{videoInfo.title}</span>
+                    </div>
+                    <div className="detail-item">
+                      <span className="detail-label">Author:</span>
+                      <span className="detail-value">{videoInfo.author}</span>
+                    </div>
+                    <div className="detail-item">
+                      <span className="detail-label">Duration:</span>
+                      <span className="detail-value">{formatDuration(videoInfo.duration)}</span>
+                    </div>
+                  </div>
+
+                  <div className="clip-range">
+                    <div className="clip-inputs">
+                      <div className="input-group">
+                        <label htmlFor="clip-start">Clip start</label>
+                        <input
+                          type="text"
+                          id="clip-start"
+                          className="url-input clip-input"
+                          placeholder="0:00"
+                          value={clipStart}
+                          onChange={(e) => setClipStart(e.target.value)}
+                        />
+                      </div>
+                      <div className="input-group">
+                        <label htmlFor="clip-end">Clip end</label>
+                        <input
+                          type="text"
+                          id="clip-end"
+                          className="url-input clip-input"
+                          placeholder={formatDuration(videoInfo.duration)}
+                          value={clipEnd}
+                          onChange={(e) => setClipEnd(e.target.value)}
+                        />
+                      </div>
+                    </div>
+                    <label className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={preciseCuts}
+                        onChange={(e) => setPreciseCuts(e.target.checked)}
+                      />
+                      Precise cuts (re-encodes around the cut points, slower)
+                    </label>
+                    {clipError && <div className="field-error">{clipError}</div>}
+                  </div>
+
+                  {videoInfo.captions && (videoInfo.captions.manual.length > 0 || videoInfo.captions.auto.length > 0) && (
+                    <div className="captions-section">
+                      <div className="clip-inputs">
+                        <div className="input-group">
+                          <label htmlFor="caption-track">Captions</label>
+                          <select
+                            id="caption-track"
+                            className="format-select"
+                            value={captionTrack}
+                            onChange={(e) => setCaptionTrack(e.target.value)}
+                          >
+                            <option value="">Choose a language</option>
+                            {videoInfo.captions.manual.length > 0 && (
+                              <optgroup label="Subtitles">
+                                {videoInfo.captions.manual.map(track => (
+                                  <option key={`manual:${track.lang}`} value={`manual:${track.lang}`}>
+                                    {track.name}
+                                  </option>
+                                ))}
+                              </optgroup>
+                            )}
+                            {videoInfo.captions.auto.length > 0 && (
+                              <optgroup label="Auto-generated">
+                                {videoInfo.captions.auto.map(track => (
+                                  <option key={`auto:${track.lang}`} value={`auto:${track.lang}`}>
+                                    {track.name}
+                                  </option>
+                                ))}
+                              </optgroup>
+                            )}
+                          </select>
+                        </div>
+                        <div className="input-group">
+                          <label htmlFor="caption-format">Caption format</label>
+                          <select
+                            id="caption-format"
+                            className="format-select"
+                            value={captionFormat}
+                            onChange={(e) => setCaptionFormat(e.target.value)}
+                          >
+                            {CAPTION_FORMAT_OPTIONS.map(option => (
+                              <option key={option.value} value={option.value}>
+                                {option.label}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+                      <div className="captions-actions">
+                        {format === 'mp4' && (
+                          <label className="checkbox-label">
+                            <input
+                              type="checkbox"
+                              checked={embedCaptions}
+                              disabled={!captionTrack}
+                              onChange={(e) => setEmbedCaptions(e.target.checked)}
+                            />
+                            Embed in video as soft subtitles
+                          </label>
+                        )}
+                        <button className="link-btn" onClick={downloadCaptions} disabled={!captionTrack}>
+                          <Subtitles size={16} />
+                          Download captions
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {format === 'mp4' && videoFormats.length > 0 && (
+                    <div className="quality-picker">
+                      <div className="input-group">
+                        <label htmlFor="video-format">Video quality</label>
+                        <select
+                          id="video-format"
+                          className="format-select"
+                          value={formatId}
+                          onChange={(e) => {
+                            setFormatId(e.target.value);
+                            if (!e.target.value) {
+                              setAudioFormatId('');
+                            }
+                          }}
+                        >
+                          <option value="">Best available MP4</option>
+                          {videoFormats.map(f => (
+                            <option key={f.format_id} value={f.format_id}>
+                              {describeFormat(f)}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      {formatId && audioFormats.length > 0 && (
+                        <div className="input-group">
+                          <label htmlFor="audio-format">Audio track</label>
+                          <select
+                            id="audio-format"
+                            className="format-select"
+                            value={audioFormatId}
+                            onChange={(e) => setAudioFormatId(e.target.value)}
+                          >
+                            <option value="">Automatic</option>
+                            {audioFormats.map(f => (
+                              <option key={f.format_id} value={f.format_id}>
+                                {describeFormat(f)}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {downloading && job ? (
+                    <DownloadProgress job={job} onCancel={cancelDownload} cancelling={cancelling} />
+                  ) : (
+                    <button
+                      className="download-btn"
+                      onClick={downloadVideo}
+                      disabled={downloading || !!clipError || !!templateError}
+                    >
+                      {downloading ? (
+                        <>
+                          <Loader className="spinner" size={20} />
+                          Downloading...
+                        </>
+                      ) : (
+                        <>
+                          <Download size={20} />
+                          Download {format.toUpperCase()}
+                        </>
+                      )}
+                    </button>
+                  )}
                 </div>
-                <h3>Ready to Download</h3>
-                <p>Enter a YouTube URL and click "Get Video Information" to start</p>
-              </div>
-            )}
-          </div>
+              ) : (
+                <div className="empty-state">
+                  <div className="empty-icon">
+                    <Play size={48} />
+                  </div>
+                  <h3>Ready to Download</h3>
+                  <p>Enter a YouTube URL and click "Get Video Information" to start</p>
+                </div>
+              )}
+            </div>
+            </>
+          )}
+
+          <HistoryPanel
+            records={history}
+            onRedownload={redownload}
+            onRemove={(id) => setHistory(records => records.filter(record => record.id !== id))}
+            onClear={() => setHistory([])}
+            onImport={importHistoryFile}
+            disabled={loading || downloading}
+          />
         </div>
       </main>
 
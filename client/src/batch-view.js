@@ -0,0 +1,432 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { Archive, CheckCircle, AlertCircle, Download, FileUp, Loader, Search, XCircle } from 'lucide-react';
+import FileNameSetting from './file-name-setting';
+import { toFileNameFields, validateTemplate } from './filenames';
+import { AUDIO_FORMAT_OPTIONS, formatDuration, getErrorMessage, parseUrlList, withErrorGuidance } from './utils';
+
+// Info lookups run this many at a time
+const RESOLVE_CONCURRENCY = 3;
+const POLL_INTERVAL = 1500;
+// Attempts per request when the server answers 429
+const MAX_ATTEMPTS = 3;
+const MAX_RETRY_WAIT = 60;
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+const STATUS_LABELS = {
+  resolving: 'Looking up...',
+  ready: 'Ready',
+  invalid: 'Not found',
+  queued: 'Queued',
+  running: 'Downloading',
+  completed: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry a request that was rate limited after the wait the server asks for,
+// so a long batch slows down instead of failing
+const withRetry = async (request) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      const limited = error.response?.status === 429 && error.response.data?.code !== 'QUOTA_EXCEEDED';
+      if (!limited || attempt === MAX_ATTEMPTS) {
+        throw error;
+      }
+      const seconds = parseInt(error.response.headers?.['retry-after'], 10) || 5;
+      await sleep(Math.min(seconds, MAX_RETRY_WAIT) * 1000);
+    }
+  }
+};
+
+// Run task over items with at most limit in flight
+const mapWithConcurrency = async (items, limit, task) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+};
+
+// Heights the video is available in, best stream (highest bitrate) per height
+const getQualityOptions = (info) => {
+  const byHeight = {};
+  (info.formats || [])
+    .filter(f => f.vcodec && f.vcodec !== 'none' && f.height)
+    .forEach(f => {
+      const best = byHeight[f.height];
+      if (!best || (f.tbr || 0) > (best.tbr || 0)) {
+        byHeight[f.height] = f;
+      }
+    });
+  return Object.values(byHeight)
+    .sort((a, b) => b.height - a.height)
+    .map(f => ({ value: f.format_id, label: `${f.height}p` }));
+};
+
+// Rows that were looked up successfully can be downloaded (again)
+const isDownloadable = (row) => row.info && row.status !== 'resolving';
+
+const toDownloadParams = (row, template) => {
+  const params = { url: row.url, format: row.format };
+  if (row.format === 'mp4' && row.formatId) {
+    params.formatId = row.formatId;
+  }
+  if (row.format === 'mp3') {
+    params.audioBitrate = '192';
+  }
+  if (template.trim()) {
+    params.template = template;
+  }
+  return params;
+};
+
+function BatchView({ onDownloaded, saveFile, fileNameTemplate, onFileNameTemplateChange }) {
+  const [text, setText] = useState('');
+  const [rows, setRows] = useState([]);
+  const [resolving, setResolving] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [message, setMessage] = useState('');
+  const fileInputRef = useRef(null);
+  const stoppedRef = useRef(false);
+  // { id, key } of every job this batch created, for cancelling
+  const jobsRef = useRef([]);
+
+  // Stop polling loops when the view goes away
+  useEffect(() => () => {
+    stoppedRef.current = true;
+  }, []);
+
+  const updateRow = (key, patch) => {
+    setRows(current => current.map(row => (row.key === key ? { ...row, ...patch } : row)));
+  };
+
+  const loadFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      const contents = await file.text();
+      setText(current => (current.trim() ? `${current.trim()}\n${contents}` : contents));
+    }
+  };
+
+  const resolveAll = async () => {
+    const urls = parseUrlList(text);
+    if (urls.length === 0) {
+      setMessage('No YouTube links found. Paste one URL per line or upload a .txt/.csv file.');
+      return;
+    }
+
+    const initial = urls.map((url, index) => ({
+      key: `${index}-${url}`,
+      url,
+      status: 'resolving',
+      info: null,
+      format: 'mp4',
+      formatId: '',
+      job: null,
+      error: null
+    }));
+    setRows(initial);
+    setMessage('');
+    setResolving(true);
+
+    await mapWithConcurrency(initial, RESOLVE_CONCURRENCY, async (row) => {
+      try {
+        const response = await withRetry(() => axios.get(`/api/video-info?url=${encodeURIComponent(row.url)}`));
+        updateRow(row.key, { status: 'ready', info: response.data });
+      } catch (error) {
+        updateRow(row.key, { status: 'invalid', error: getErrorMessage(error, 'Failed to get video information') });
+      }
+    });
+    setResolving(false);
+  };
+
+  // Hand a finished job to the history; the browser save depends on the mode
+  const recordJob = (row, job) => {
+    onDownloaded({
+      video: row.info,
+      params: toDownloadParams(row, fileNameTemplate),
+      fileName: job.fileName,
+      fileSize: job.fileSize
+    });
+  };
+
+  // Queue a row's download; returns the job, or null after marking the row failed
+  const createJob = async (row) => {
+    try {
+      const response = await withRetry(() => axios.post('/api/jobs', toDownloadParams(row, fileNameTemplate)));
+      jobsRef.current.push({ id: response.data.id, key: row.key });
+      updateRow(row.key, { status: response.data.state, job: response.data });
+      return response.data;
+    } catch (error) {
+      const reason = error.response?.status === 404
+        ? 'Batch downloads need the job API, which this deployment does not have'
+        : getErrorMessage(error, 'Failed to start the download');
+      updateRow(row.key, { status: 'failed', error: reason });
+      return null;
+    }
+  };
+
+  // Poll until every job has finished, keeping the rows up to date
+  const waitForJobs = async (entries) => {
+    let pending = entries;
+    while (pending.length > 0 && !stoppedRef.current) {
+      await sleep(POLL_INTERVAL);
+      try {
+        const response = await axios.get(`/api/jobs?ids=${pending.map(({ job }) => job.id).join(',')}`);
+        const byId = Object.fromEntries(response.data.map(job => [job.id, job]));
+        entries.forEach(entry => {
+          const job = byId[entry.job.id];
+          if (job) {
+            entry.job = job;
+            updateRow(entry.row.key, {
+              status: job.state,
+              job,
+              error: job.error && withErrorGuidance(job.error, job.errorCode)
+            });
+          }
+        });
+        pending = pending.filter(({ job }) => byId[job.id] && !FINISHED_STATES.includes(byId[job.id].state));
+      } catch (error) {
+        // A missed poll is retried on the next tick
+      }
+    }
+    return entries;
+  };
+
+  const downloadAll = async (asZip) => {
+    const ready = rows.filter(isDownloadable);
+    if (ready.length === 0) {
+      return;
+    }
+    stoppedRef.current = false;
+    jobsRef.current = [];
+    setDownloading(true);
+    setMessage('');
+
+    let completed = [];
+    if (asZip) {
+      const entries = [];
+      for (const row of ready) {
+        if (stoppedRef.current) {
+          break;
+        }
+        const job = await createJob(row);
+        if (job) {
+          entries.push({ row, job });
+        }
+      }
+      // A cancelled batch gets no ZIP, so nothing of it was downloaded
+      const finished = await waitForJobs(entries);
+      if (!stoppedRef.current) {
+        completed = finished.filter(({ job }) => job.state === 'completed');
+      }
+      if (completed.length > 0) {
+        saveFile(`/api/jobs/zip?ids=${completed.map(({ job }) => job.id).join(',')}`);
+      }
+    } else {
+      for (const row of ready) {
+        if (stoppedRef.current) {
+          break;
+        }
+        const job = await createJob(row);
+        if (job) {
+          const [entry] = await waitForJobs([{ row, job }]);
+          if (entry.job.state === 'completed') {
+            saveFile(`/api/jobs/${entry.job.id}/file`);
+            completed.push(entry);
+          }
+        }
+      }
+    }
+
+    completed.forEach(({ row, job }) => recordJob(row, job));
+    setMessage(stoppedRef.current
+      ? `Batch cancelled: ${completed.length} of ${ready.length} downloaded.`
+      : `Batch finished: ${completed.length} of ${ready.length} downloaded.`);
+    setDownloading(false);
+  };
+
+  // Stop the batch and cancel its unfinished jobs; the polling loop is done
+  // with them, so the rows are updated from the cancel responses
+  const cancelAll = async () => {
+    stoppedRef.current = true;
+    const unfinished = jobsRef.current.filter(({ key }) => {
+      const row = rows.find(r => r.key === key);
+      return row && !FINISHED_STATES.includes(row.status);
+    });
+    await Promise.all(unfinished.map(async ({ id, key }) => {
+      try {
+        const response = await axios.delete(`/api/jobs/${id}`);
+        updateRow(key, { status: response.data.state, job: response.data });
+      } catch (error) {
+        // Already gone; nothing left to cancel
+      }
+    }));
+  };
+
+  const renderStatus = (row) => {
+    const label = row.status === 'running'
+      ? `${STATUS_LABELS.running} ${Math.round(row.job?.progress?.percent || 0)}%`
+      : STATUS_LABELS[row.status];
+    return (
+      <span className={`entry-status status-${row.status}`} title={row.error || ''}>
+        {(row.status === 'running' || row.status === 'resolving') && <Loader className="spinner" size={14} />}
+        {row.status === 'completed' && <CheckCircle size={14} />}
+        {(row.status === 'failed' || row.status === 'invalid') && <AlertCircle size={14} />}
+        {label}
+      </span>
+    );
+  };
+
+  const readyCount = rows.filter(isDownloadable).length;
+  const busy = resolving || downloading;
+  const templateError = validateTemplate(fileNameTemplate);
+
+  return (
+    <section className="batch-panel">
+      <div className="panel-header">
+        <h2>Batch Download</h2>
+        <p>Paste YouTube links, one per line, or upload a .txt or .csv file</p>
+      </div>
+
+      <textarea
+        className="url-input batch-input"
+        rows={6}
+        placeholder={'https://www.youtube.com/watch?v=...\nhttps://youtu.be/...'}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        disabled={busy}
+      />
+
+      <div className="batch-toolbar">
+        <button className="link-btn" onClick={() => fileInputRef.current.click()} disabled={busy}>
+          <FileUp size={16} />
+          Upload list
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".txt,.csv,text/plain,text/csv"
+          className="hidden-input"
+          onChange={loadFile}
+        />
+        <button className="primary-btn batch-resolve" onClick={resolveAll} disabled={busy || !text.trim()}>
+          {resolving ? <Loader className="spinner" size={18} /> : <Search size={18} />}
+          {resolving ? 'Looking up videos...' : 'Look up videos'}
+        </button>
+      </div>
+
+      <FileNameSetting
+        template={fileNameTemplate}
+        onChange={onFileNameTemplateChange}
+        fields={toFileNameFields(null, {})}
+        ext="mp4"
+      />
+
+      {message && <p className="batch-message">{message}</p>}
+
+      {rows.length > 0 && (
+        <>
+          <div className="batch-table-wrapper">
+            <table className="batch-table">
+              <thead>
+                <tr>
+                  <th>Video</th>
+                  <th>Format</th>
+                  <th>Quality</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => {
+                  const qualities = row.info ? getQualityOptions(row.info) : [];
+                  const editable = !downloading && row.status !== 'resolving' && row.status !== 'invalid';
+                  return (
+                    <tr key={row.key}>
+                      <td>
+                        <div className="batch-video">
+                          {row.info?.thumbnail ? (
+                            <img src={row.info.thumbnail} alt="" className="entry-thumbnail" loading="lazy" />
+                          ) : (
+                            <div className="entry-thumbnail" />
+                          )}
+                          <div className="history-details">
+                            <span className="entry-title">{row.info?.title || row.url}</span>
+                            <span className="history-meta">
+                              {row.info
+                                ? [row.info.author, formatDuration(row.info.duration)].join(' · ')
+                                : row.error || row.url}
+                            </span>
+                          </div>
+                        </div>
+                      </td>
+                      <td>
+                        <select
+                          className="format-select"
+                          value={row.format}
+                          disabled={!editable}
+                          onChange={(e) => updateRow(row.key, { format: e.target.value, formatId: '' })}
+                        >
+                          <option value="mp4">MP4 Video</option>
+                          {AUDIO_FORMAT_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>
+                        <select
+                          className="format-select"
+                          value={row.formatId}
+                          disabled={!editable || row.format !== 'mp4'}
+                          onChange={(e) => updateRow(row.key, { formatId: e.target.value })}
+                        >
+                          <option value="">Best</option>
+                          {qualities.map(option => (
+                            <option key={option.value} value={option.value}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>{renderStatus(row)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {downloading ? (
+            <button className="cancel-btn" onClick={cancelAll}>
+              <XCircle size={18} />
+              Cancel Remaining
+            </button>
+          ) : (
+            <div className="batch-actions">
+              <button className="download-btn" onClick={() => downloadAll(false)} disabled={busy || readyCount === 0 || !!templateError}>
+                <Download size={20} />
+                Download {readyCount} one by one
+              </button>
+              <button className="download-btn" onClick={() => downloadAll(true)} disabled={busy || readyCount === 0 || !!templateError}>
+                <Archive size={20} />
+                Download {readyCount} as ZIP
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default BatchView;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { Loader, XCircle } from 'lucide-react';
+import { formatDuration, formatFileSize } from './utils';
+
+// Labels for the yt-dlp post-processors a job can report
+const POSTPROCESSOR_LABELS = {
+  Merger: 'Merging audio and video',
+  ExtractAudio: 'Converting audio',
+  EmbedThumbnail: 'Embedding cover art',
+  ThumbnailsConvertor: 'Preparing cover art',
+  Metadata: 'Writing tags',
+  EmbedSubtitle: 'Embedding subtitles',
+  SubtitlesConvertor: 'Converting subtitles',
+  VideoRemuxer: 'Remuxing video',
+  VideoConvertor: 'Converting video',
+  ModifyChapters: 'Cutting video'
+};
+
+const describePhase = (job) => {
+  if (job.state === 'queued') {
+    return 'Waiting in queue...';
+  }
+  if (job.phase === 'storage') {
+    return 'Waiting for disk space...';
+  }
+  if (job.phase === 'postprocessing') {
+    return `${POSTPROCESSOR_LABELS[job.postprocessor] || 'Post-processing'}...`;
+  }
+  return 'Downloading...';
+};
+
+function DownloadProgress({ job, onCancel, cancelling }) {
+  const { progress } = job;
+  const percent = Math.min(100, Math.max(0, progress.percent || 0));
+  const postprocessing = job.phase === 'postprocessing';
+
+  const details = [];
+  if (progress.downloadedBytes && progress.totalBytes) {
+    details.push(`${formatFileSize(progress.downloadedBytes)} of ${formatFileSize(progress.totalBytes)}`);
+  }
+  if (!postprocessing && progress.speed) {
+    details.push(`${formatFileSize(progress.speed)}/s`);
+  }
+  if (!postprocessing && progress.eta) {
+    details.push(`${formatDuration(progress.eta)} left`);
+  }
+
+  return (
+    <div className="download-progress">
+      <div className="progress-header">
+        <span className="progress-phase">
+          <Loader className="spinner" size={16} />
+          {describePhase(job)}
+        </span>
+        <span className="progress-percent">{postprocessing ? '' : `${percent.toFixed(1)}%`}</span>
+      </div>
+      <div className="progress-track">
+        <div
+          className={`progress-fill${postprocessing ? ' indeterminate' : ''}`}
+          style={{ width: `${postprocessing ? 100 : percent}%` }}
+        />
+      </div>
+      {details.length > 0 && (
+        <div className="progress-details">{details.join(' · ')}</div>
+      )}
+      <button className="cancel-btn" onClick={onCancel} disabled={cancelling}>
+        <XCircle size={18} />
+        {cancelling ? 'Cancelling...' : 'Cancel Download'}
+      </button>
+    </div>
+  );
+}
+
+export default DownloadProgress;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { FileText } from 'lucide-react';
+import { DEFAULT_TEMPLATE, FILENAME_FIELDS, previewFileName, validateTemplate } from './filenames';
+
+// Template input with buttons for each field and a preview of the result.
+// fields and ext describe the video the preview is for
+function FileNameSetting({ template, onChange, fields, ext }) {
+  const error = validateTemplate(template);
+
+  const insertField = (name) => {
+    const separator = template && !/\s$/.test(template) ? ' ' : '';
+    onChange(`${template}${separator}{${name}}`);
+  };
+
+  return (
+    <div className="filename-setting">
+      <div className="input-group">
+        <label htmlFor="filename-template">File name</label>
+        <input
+          type="text"
+          id="filename-template"
+          className="url-input clip-input"
+          placeholder={DEFAULT_TEMPLATE}
+          value={template}
+          spellCheck={false}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      </div>
+      <div className="filename-fields">
+        {FILENAME_FIELDS.map(field => (
+          <button
+            key={field.name}
+            type="button"
+            className="field-chip"
+            title={field.description}
+            onClick={() => insertField(field.name)}
+          >
+            {`{${field.name}}`}
+          </button>
+        ))}
+      </div>
+      {error ? (
+        <div className="field-error">{error}</div>
+      ) : (
+        <div className="filename-preview" title="File name preview">
+          <FileText size={14} />
+          <span>{previewFileName(template, fields, ext)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FileNameSetting;
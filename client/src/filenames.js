@@ -0,0 +1,161 @@
+import { parseTimestamp } from './utils';
+
+// File name templates. The server renders the real name (server/lib/filenames.js);
+// these are the same rules so the setting can show a live preview
+const STORAGE_KEY = 'youtube-downloader.filename-template';
+// The server's default when no template is sent
+export const DEFAULT_TEMPLATE = '{title} ({clip})';
+const MAX_TEMPLATE_LENGTH = 200;
+const MAX_STEM_BYTES = 200;
+
+export const FILENAME_FIELDS = [
+  { name: 'title', description: 'Video title' },
+  { name: 'uploader', description: 'Channel name' },
+  { name: 'upload_date', description: 'Upload date, YYYYMMDD' },
+  { name: 'id', description: 'YouTube video id' },
+  { name: 'resolution', description: 'Video height such as 1080p, or "audio"' },
+  { name: 'clip', description: 'Clip range, empty for whole videos' },
+  { name: 'ext', description: 'File extension' }
+];
+const FIELD_NAMES = FILENAME_FIELDS.map(field => field.name);
+
+// Shown until a video is loaded
+const EXAMPLE_FIELDS = {
+  title: 'Example Video',
+  uploader: 'Example Channel',
+  upload_date: '20240102',
+  id: 'dQw4w9WgXcQ',
+  resolution: '1080p',
+  clip: ''
+};
+
+const FIELD_PATTERN = /\{(\w+)\}/g;
+const RESERVED_CHARACTERS = /[<>:"/\\|?*]/g;
+const INVISIBLE_CHARACTERS = /[\p{Cc}\u202A-\u202E\u2066-\u2069]/gu;
+const WINDOWS_DEVICE_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+export const loadFileNameTemplate = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) || '';
+  } catch (error) {
+    return '';
+  }
+};
+
+export const saveFileNameTemplate = (template) => {
+  try {
+    if (template) {
+      window.localStorage.setItem(STORAGE_KEY, template);
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    // Storage disabled; the template just won't be remembered
+  }
+};
+
+// An error message for the template, or '' when it's fine (empty means default)
+export const validateTemplate = (template) => {
+  if (!template.trim()) {
+    return '';
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return `Keep the template under ${MAX_TEMPLATE_LENGTH} characters`;
+  }
+  const unknown = [...template.matchAll(FIELD_PATTERN)].map(match => match[1]).find(name => !FIELD_NAMES.includes(name));
+  if (unknown) {
+    return `{${unknown}} is not a field you can use`;
+  }
+  if (/[{}]/.test(template.replace(FIELD_PATTERN, ''))) {
+    return 'Every { needs a matching }';
+  }
+  return '';
+};
+
+// Cut to a byte budget without splitting a character or an emoji sequence
+const truncateBytes = (text, maxBytes) => {
+  const segments = typeof Intl.Segmenter === 'function'
+    ? Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), part => part.segment)
+    : Array.from(text);
+  const encoder = new TextEncoder();
+  let result = '';
+  let bytes = 0;
+  for (const segment of segments) {
+    bytes += encoder.encode(segment).length;
+    if (bytes > maxBytes) {
+      break;
+    }
+    result += segment;
+  }
+  return result;
+};
+
+const sanitizeFileName = (name) => {
+  let clean = name
+    .normalize('NFC')
+    .replace(INVISIBLE_CHARACTERS, '')
+    .replace(RESERVED_CHARACTERS, '_')
+    .replace(/\(\s*\)|\[\s*\]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+  clean = truncateBytes(clean, MAX_STEM_BYTES).replace(/[\s.]+$/, '');
+  if (WINDOWS_DEVICE_NAMES.test(clean)) {
+    clean = `_${clean}`;
+  }
+  return clean || 'video';
+};
+
+// The file name the server will produce for these fields
+export const previewFileName = (template, fields, ext) => {
+  const values = { ...fields, ext };
+  const stem = (template.trim() ? template : DEFAULT_TEMPLATE)
+    .replace(/\.\{ext\}$/, '')
+    .replace(FIELD_PATTERN, (_, name) => String(values[name] || ''));
+  return `${sanitizeFileName(stem)}.${ext}`;
+};
+
+// Template fields for the loaded video and the current download settings;
+// formats is the /api/formats list and formatId the picked video stream
+export const toFileNameFields = (video, { format, formats, formatId, start, end }) => {
+  if (!video) {
+    return EXAMPLE_FIELDS;
+  }
+  let resolution = 'audio';
+  if (format === 'mp4') {
+    const progressive = formats.filter(f => f.hasVideo && f.hasAudio);
+    const picked = formats.find(f => f.format_id === formatId) ||
+      progressive.filter(f => f.ext === 'mp4').pop() || progressive.pop();
+    resolution = picked && picked.height ? `${picked.height}p` : '';
+  }
+  let clip = '';
+  if (start.trim() || end.trim()) {
+    const startSeconds = start.trim() ? parseTimestamp(start) : 0;
+    const endSeconds = end.trim() ? parseTimestamp(end) : video.duration;
+    if (!Number.isNaN(startSeconds) && !Number.isNaN(endSeconds)) {
+      clip = `clip ${Math.round(startSeconds)}-${Number.isFinite(endSeconds) ? Math.round(endSeconds) : 'end'}`;
+    }
+  }
+  return {
+    title: video.title,
+    uploader: video.author,
+    upload_date: video.uploadDate || '',
+    id: video.videoId || '',
+    resolution,
+    clip
+  };
+};
+
+// The file name from a Content-Disposition header, preferring the exact
+// UTF-8 filename* over the ASCII fallback
+export const parseContentDisposition = (header) => {
+  const encoded = /filename\*=UTF-8''([^;]+)/i.exec(header || '');
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1]);
+    } catch (error) {
+      // Malformed encoding, use the plain name
+    }
+  }
+  const plain = /filename="([^"]+)"/i.exec(header || '');
+  return plain ? plain[1] : null;
+};
@@ -0,0 +1,150 @@
+import React, { useRef, useState } from 'react';
+import { Download, FileDown, FileUp, History, Search, Trash2 } from 'lucide-react';
+import { formatDuration, formatFileSize } from './utils';
+import { exportHistory, filterHistory, isAudioRecord } from './history';
+
+const KIND_OPTIONS = [
+  { value: 'all', label: 'All' },
+  { value: 'video', label: 'Video' },
+  { value: 'audio', label: 'Audio' }
+];
+
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+function HistoryPanel({ records, onRedownload, onRemove, onClear, onImport, disabled }) {
+  const [query, setQuery] = useState('');
+  const [kind, setKind] = useState('all');
+  const fileInputRef = useRef(null);
+
+  const visible = filterHistory(records, { query, kind });
+
+  const exportFile = () => {
+    const blob = new Blob([exportHistory(records)], { type: 'application/json' });
+    const downloadUrl = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.download = `download-history-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(downloadUrl);
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    // Reset so picking the same file again still fires onChange
+    e.target.value = '';
+    if (file) {
+      onImport(await file.text());
+    }
+  };
+
+  const clearAll = () => {
+    if (window.confirm('Remove every entry from the download history?')) {
+      onClear();
+    }
+  };
+
+  return (
+    <section className="history-panel">
+      <div className="history-header">
+        <h2>
+          <History size={20} />
+          Download History
+        </h2>
+        <div className="history-actions">
+          <button className="link-btn" onClick={exportFile} disabled={records.length === 0}>
+            <FileDown size={16} />
+            Export
+          </button>
+          <button className="link-btn" onClick={() => fileInputRef.current.click()}>
+            <FileUp size={16} />
+            Import
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden-input"
+            onChange={importFile}
+          />
+          <button className="link-btn" onClick={clearAll} disabled={records.length === 0}>
+            <Trash2 size={16} />
+            Clear
+          </button>
+        </div>
+      </div>
+
+      {records.length === 0 ? (
+        <p className="history-empty">Finished downloads show up here so you can grab them again later.</p>
+      ) : (
+        <>
+          <div className="history-filters">
+            <div className="history-search">
+              <Search size={16} />
+              <input
+                type="search"
+                className="url-input"
+                placeholder="Search by title, author or URL"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+              />
+            </div>
+            <select className="format-select" value={kind} onChange={(e) => setKind(e.target.value)}>
+              {KIND_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {visible.length === 0 ? (
+            <p className="history-empty">No downloads match this search.</p>
+          ) : (
+            <ul className="history-list">
+              {visible.map(record => (
+                <li key={record.id} className="history-item">
+                  {record.thumbnail ? (
+                    <img src={record.thumbnail} alt="" className="entry-thumbnail" loading="lazy" />
+                  ) : (
+                    <div className="entry-thumbnail" />
+                  )}
+                  <div className="history-details">
+                    <span className="entry-title">{record.title}</span>
+                    <span className="history-meta">
+                      {[
+                        record.author,
+                        record.duration ? formatDuration(record.duration) : null,
+                        record.settings,
+                        formatFileSize(record.fileSize),
+                        formatDate(record.downloadedAt)
+                      ].filter(Boolean).join(' · ')}
+                    </span>
+                  </div>
+                  <button
+                    className="link-btn"
+                    onClick={() => onRedownload(record)}
+                    disabled={disabled}
+                    title={`Download again as ${isAudioRecord(record) ? 'audio' : 'video'} with the same settings`}
+                  >
+                    <Download size={16} />
+                    Again
+                  </button>
+                  <button className="icon-btn" onClick={() => onRemove(record.id)} title="Remove from history">
+                    <Trash2 size={16} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,113 @@
+// Download history kept in localStorage. Each record has what the panel shows
+// plus the exact download params, so a re-download uses the same settings
+const STORAGE_KEY = 'youtube-downloader.history';
+const EXPORT_VERSION = 1;
+// Oldest records are dropped past this many
+const MAX_RECORDS = 500;
+
+const AUDIO_FORMATS = ['mp3', 'm4a', 'opus', 'flac', 'wav'];
+
+export const isAudioRecord = (record) => AUDIO_FORMATS.includes(record.params.format);
+
+// Records need a source URL and params to be re-downloadable
+const isValidRecord = (record) => (
+  record &&
+  typeof record.id === 'string' &&
+  typeof record.params === 'object' &&
+  record.params !== null &&
+  typeof record.params.url === 'string' &&
+  typeof record.params.format === 'string'
+);
+
+export const loadHistory = () => {
+  try {
+    const records = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(records) ? records.filter(isValidRecord) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveHistory = (records) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+  } catch (error) {
+    // Storage full or disabled (private browsing); history just won't persist
+    console.error('Error saving download history:', error);
+  }
+};
+
+// Short label for the settings used, e.g. "MP4 · 1080p · clip 0:10-0:40"
+const describeSettings = ({ format, audioBitrate, start, end, subtitles }, quality) => {
+  const parts = [format.toUpperCase()];
+  if (quality) {
+    parts.push(quality);
+  }
+  if (format === 'mp3' && audioBitrate) {
+    parts.push(`${audioBitrate} kbps`);
+  }
+  if (start || end) {
+    parts.push(`clip ${start || '0'}-${end || 'end'}`);
+  }
+  if (subtitles) {
+    parts.push(`${subtitles} subtitles`);
+  }
+  return parts.join(' · ');
+};
+
+// Build a record for a finished download; video has title, author, thumbnail
+// and duration, quality is an optional label for the picked stream
+export const createHistoryRecord = ({ video, params, quality, fileName, fileSize }) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  title: video.title || 'Unknown Title',
+  author: video.author || '',
+  thumbnail: video.thumbnail || null,
+  duration: video.duration || 0,
+  quality: quality || null,
+  settings: describeSettings(params, quality),
+  params,
+  fileName: fileName || null,
+  fileSize: fileSize || null,
+  downloadedAt: new Date().toISOString()
+});
+
+// Newest first, capped at MAX_RECORDS
+export const addHistoryRecord = (records, record) => [record, ...records].slice(0, MAX_RECORDS);
+
+export const exportHistory = (records) => JSON.stringify({
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  records
+}, null, 2);
+
+// Merge an exported file into the current history. Accepts the export format
+// or a bare array; records already present (same id) are skipped. Throws when
+// the file isn't a history export
+export const importHistory = (records, text) => {
+  const parsed = JSON.parse(text);
+  const imported = Array.isArray(parsed) ? parsed : parsed && parsed.records;
+  if (!Array.isArray(imported)) {
+    throw new Error('This file is not a download history export');
+  }
+  const known = new Set(records.map(record => record.id));
+  const added = imported.filter(record => isValidRecord(record) && !known.has(record.id));
+  const merged = [...records, ...added]
+    .sort((a, b) => String(b.downloadedAt).localeCompare(String(a.downloadedAt)))
+    .slice(0, MAX_RECORDS);
+  return { records: merged, added: added.length };
+};
+
+// Case-insensitive match on title, author and URL, plus a video/audio filter
+export const filterHistory = (records, { query, kind }) => {
+  const needle = query.trim().toLowerCase();
+  return records.filter(record => {
+    if (kind === 'audio' && !isAudioRecord(record)) {
+      return false;
+    }
+    if (kind === 'video' && isAudioRecord(record)) {
+      return false;
+    }
+    return !needle || [record.title, record.author, record.params.url]
+      .some(value => String(value || '').toLowerCase().includes(needle));
+  });
+};
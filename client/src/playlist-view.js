@@ -0,0 +1,208 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { Download, Loader, XCircle, CheckCircle, AlertCircle, ListChecks } from 'lucide-react';
+import { formatDuration, withErrorGuidance } from './utils';
+
+const POLL_INTERVAL = 1500;
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Downloading',
+  completed: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+function PlaylistView({ url, playlist, format, audioBitrate, fileNameTemplate, onError, onSuccess, onDownloaded, saveFile }) {
+  const [selected, setSelected] = useState(() => new Set(playlist.entries.map(entry => entry.id)));
+  const [jobsByEntry, setJobsByEntry] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const savedRef = useRef(new Set());
+  const reportedRef = useRef(false);
+
+  const jobs = Object.values(jobsByEntry);
+  const active = jobs.some(job => !FINISHED_STATES.includes(job.state));
+
+  // Poll the batch while any of its jobs is still queued or running. SSE would
+  // need one connection per job, which browsers cap at six per host.
+  useEffect(() => {
+    if (!active) {
+      return undefined;
+    }
+    const ids = Object.values(jobsByEntry).map(job => job.id).join(',');
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`/api/jobs?ids=${ids}`);
+        const next = { ...jobsByEntry };
+        response.data.forEach(job => {
+          const entryId = Object.keys(next).find(key => next[key].id === job.id);
+          if (entryId) {
+            next[entryId] = job;
+          }
+        });
+        setJobsByEntry(next);
+      } catch (error) {
+        onError(error, 'Lost track of the batch download');
+      }
+    }, POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [active, jobsByEntry, onError]);
+
+  // Hand each finished file to the browser, and to the history, exactly once
+  useEffect(() => {
+    playlist.entries.forEach(entry => {
+      const job = jobsByEntry[entry.id];
+      if (job && job.state === 'completed' && !savedRef.current.has(job.id)) {
+        savedRef.current.add(job.id);
+        saveFile(`/api/jobs/${job.id}/file`);
+        onDownloaded({
+          video: { ...entry, author: playlist.author },
+          params: {
+            url: job.url,
+            format: job.format,
+            ...(job.format === 'mp3' ? { audioBitrate } : {}),
+            ...(fileNameTemplate.trim() ? { template: fileNameTemplate } : {})
+          },
+          fileName: job.fileName,
+          fileSize: job.fileSize
+        });
+      }
+    });
+    if (jobs.length > 0 && !active && !reportedRef.current) {
+      reportedRef.current = true;
+      const done = jobs.filter(job => job.state === 'completed').length;
+      onSuccess(`Batch finished: ${done} of ${jobs.length} downloaded.`);
+    }
+  }, [playlist, jobsByEntry, jobs, active, audioBitrate, fileNameTemplate, saveFile, onSuccess, onDownloaded]);
+
+  const toggle = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) {
+      next.delete(id);
+    } else {
+      next.add(id);
+    }
+    setSelected(next);
+  };
+
+  const toggleAll = () => {
+    setSelected(selected.size === playlist.entries.length
+      ? new Set()
+      : new Set(playlist.entries.map(entry => entry.id)));
+  };
+
+  const downloadSelected = async () => {
+    setSubmitting(true);
+    savedRef.current = new Set();
+    reportedRef.current = false;
+    try {
+      const response = await axios.post('/api/jobs/batch', {
+        url,
+        ids: playlist.entries.filter(entry => selected.has(entry.id)).map(entry => entry.id),
+        format,
+        audioBitrate: format === 'mp3' ? audioBitrate : undefined,
+        template: fileNameTemplate.trim() ? fileNameTemplate : undefined
+      });
+      const next = {};
+      response.data.jobs.forEach(job => {
+        const entry = playlist.entries.find(e => e.url === job.url);
+        if (entry) {
+          next[entry.id] = job;
+        }
+      });
+      setJobsByEntry(next);
+    } catch (error) {
+      onError(error, 'Failed to start the batch download');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const cancelAll = async () => {
+    const running = jobs.filter(job => !FINISHED_STATES.includes(job.state));
+    await Promise.all(running.map(job => axios.delete(`/api/jobs/${job.id}`).catch(() => {})));
+  };
+
+  const renderStatus = (entry) => {
+    const job = jobsByEntry[entry.id];
+    if (!job) {
+      return null;
+    }
+    const label = job.state === 'running'
+      ? `${STATUS_LABELS.running} ${Math.round(job.progress.percent || 0)}%`
+      : STATUS_LABELS[job.state];
+    return (
+      <span className={`entry-status status-${job.state}`} title={job.error ? withErrorGuidance(job.error, job.errorCode) : ''}>
+        {job.state === 'running' && <Loader className="spinner" size={14} />}
+        {job.state === 'completed' && <CheckCircle size={14} />}
+        {job.state === 'failed' && <AlertCircle size={14} />}
+        {label}
+      </span>
+    );
+  };
+
+  return (
+    <div className="video-info-card playlist-card">
+      <div className="video-header">
+        <h3>{playlist.title}</h3>
+        <p className="playlist-meta">{playlist.author} · {playlist.entryCount} videos</p>
+      </div>
+
+      <div className="playlist-toolbar">
+        <button className="link-btn" onClick={toggleAll} disabled={active}>
+          <ListChecks size={16} />
+          {selected.size === playlist.entries.length ? 'Select none' : 'Select all'}
+        </button>
+        <span>{selected.size} selected</span>
+      </div>
+
+      <ul className="playlist-entries">
+        {playlist.entries.map(entry => (
+          <li key={entry.id} className="playlist-entry">
+            <input
+              type="checkbox"
+              id={`entry-${entry.id}`}
+              checked={selected.has(entry.id)}
+              onChange={() => toggle(entry.id)}
+              disabled={active}
+            />
+            <label htmlFor={`entry-${entry.id}`}>
+              <img src={entry.thumbnail} alt="" className="entry-thumbnail" loading="lazy" />
+              <span className="entry-title">{entry.title}</span>
+              <span className="entry-duration">{entry.duration ? formatDuration(entry.duration) : ''}</span>
+            </label>
+            {renderStatus(entry)}
+          </li>
+        ))}
+      </ul>
+
+      {active ? (
+        <button className="cancel-btn" onClick={cancelAll}>
+          <XCircle size={18} />
+          Cancel Remaining
+        </button>
+      ) : (
+        <button
+          className="download-btn"
+          onClick={downloadSelected}
+          disabled={submitting || selected.size === 0}
+        >
+          {submitting ? (
+            <>
+              <Loader className="spinner" size={20} />
+              Starting...
+            </>
+          ) : (
+            <>
+              <Download size={20} />
+              Download {selected.size} as {format.toUpperCase()}
+            </>
+          )}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default PlaylistView;
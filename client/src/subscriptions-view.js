@@ -0,0 +1,312 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { AlertCircle, CheckCircle, Loader, Pause, Play, Plus, RefreshCw, Rss, Trash2 } from 'lucide-react';
+import FileNameSetting from './file-name-setting';
+import { toFileNameFields, validateTemplate } from './filenames';
+import { AUDIO_FORMAT_OPTIONS, getErrorMessage, isCollectionUrl, withErrorGuidance } from './utils';
+
+// The list is refreshed this often so checks running on the server show up
+const REFRESH_INTERVAL = 10000;
+
+const INTERVAL_OPTIONS = [
+  { value: 60, label: 'Every hour' },
+  { value: 360, label: 'Every 6 hours' },
+  { value: 720, label: 'Every 12 hours' },
+  { value: 1440, label: 'Daily' },
+  { value: 10080, label: 'Weekly' }
+];
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+const formatInterval = (minutes) => {
+  const option = INTERVAL_OPTIONS.find(o => o.value === minutes);
+  return option ? option.label : `Every ${minutes} min`;
+};
+
+const formatLabel = (subscription) => {
+  if (subscription.format === 'mp4') {
+    return 'MP4 Video';
+  }
+  const option = AUDIO_FORMAT_OPTIONS.find(o => o.value === subscription.format);
+  return option ? option.label : subscription.format.toUpperCase();
+};
+
+function SubscriptionsView({ fileNameTemplate, onFileNameTemplateChange }) {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [url, setUrl] = useState('');
+  const [format, setFormat] = useState('mp4');
+  const [intervalMinutes, setIntervalMinutes] = useState(60);
+  const [backfill, setBackfill] = useState(false);
+  const [adding, setAdding] = useState(false);
+  // Why the server can't offer subscriptions, if it can't
+  const [unavailable, setUnavailable] = useState('');
+  const [message, setMessage] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/subscriptions');
+      setSubscriptions(response.data);
+    } catch (error) {
+      const code = error.response?.data?.code;
+      if (error.response?.status === 404) {
+        setUnavailable('Subscriptions need a long-running server, which this deployment does not have.');
+      } else if (code === 'SUBSCRIPTIONS_DISABLED') {
+        setUnavailable('Subscriptions are not enabled on this server.');
+      } else if (code === 'API_KEY_REQUIRED') {
+        setUnavailable('Subscriptions on this server need an API key.');
+      }
+      // Otherwise a missed refresh is retried on the next tick
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  const replace = (subscription) => {
+    setSubscriptions(current => current.map(s => (s.id === subscription.id ? subscription : s)));
+  };
+
+  const addSubscription = async () => {
+    if (!isCollectionUrl(url)) {
+      setMessage('Enter a YouTube playlist or channel URL');
+      return;
+    }
+    const params = { url: url.trim(), format, intervalMinutes, backfill };
+    if (format === 'mp3') {
+      params.audioBitrate = '192';
+    }
+    if (fileNameTemplate.trim()) {
+      params.template = fileNameTemplate;
+    }
+    setAdding(true);
+    setMessage('');
+    try {
+      const response = await axios.post('/api/subscriptions', params);
+      setSubscriptions(current => [...current, response.data]);
+      setUrl('');
+      setMessage(backfill
+        ? `Subscribed to ${response.data.title}; downloading its videos now.`
+        : `Subscribed to ${response.data.title}; new uploads will be downloaded.`);
+    } catch (error) {
+      setMessage(getErrorMessage(error, 'Failed to add the subscription'));
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const checkNow = async (subscription) => {
+    try {
+      const response = await axios.post(`/api/subscriptions/${subscription.id}/check`);
+      replace(response.data);
+    } catch (error) {
+      setMessage(getErrorMessage(error, 'Failed to start the check'));
+    }
+  };
+
+  const setEnabled = async (subscription, enabled) => {
+    try {
+      const response = await axios.patch(`/api/subscriptions/${subscription.id}`, { enabled });
+      replace(response.data);
+    } catch (error) {
+      setMessage(getErrorMessage(error, 'Failed to update the subscription'));
+    }
+  };
+
+  const remove = async (subscription) => {
+    if (!window.confirm(`Unsubscribe from ${subscription.title}? Downloaded files are kept.`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/subscriptions/${subscription.id}`);
+      setSubscriptions(current => current.filter(s => s.id !== subscription.id));
+    } catch (error) {
+      setMessage(getErrorMessage(error, 'Failed to remove the subscription'));
+    }
+  };
+
+  const renderStatus = (subscription) => {
+    if (subscription.checking) {
+      return (
+        <span className="entry-status status-running">
+          <Loader className="spinner" size={14} />
+          Checking...
+        </span>
+      );
+    }
+    if (subscription.lastError) {
+      return (
+        <span className="entry-status status-failed" title={withErrorGuidance(subscription.lastError, subscription.lastErrorCode)}>
+          <AlertCircle size={14} />
+          Last check failed
+        </span>
+      );
+    }
+    if (!subscription.enabled) {
+      return <span className="entry-status">Paused</span>;
+    }
+    return (
+      <span className="entry-status status-completed" title={`Next check ${formatDate(subscription.nextCheckAt)}`}>
+        <CheckCircle size={14} />
+        Watching
+      </span>
+    );
+  };
+
+  const templateError = validateTemplate(fileNameTemplate);
+
+  if (unavailable) {
+    return (
+      <section className="batch-panel">
+        <div className="panel-header">
+          <h2>Subscriptions</h2>
+          <p>{unavailable}</p>
+        </div>
+      </section>
+    );
+  }
+
+  return (
+    <section className="batch-panel">
+      <div className="panel-header">
+        <h2>Subscriptions</h2>
+        <p>Follow a channel or playlist and its new uploads are downloaded on the server automatically</p>
+      </div>
+
+      <div className="input-group">
+        <label htmlFor="subscription-url">YouTube Playlist or Channel URL</label>
+        <input
+          type="text"
+          id="subscription-url"
+          className="url-input"
+          placeholder="https://www.youtube.com/@channel or https://www.youtube.com/playlist?list=..."
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          disabled={adding}
+        />
+      </div>
+
+      <div className="subscription-settings">
+        <div className="input-group">
+          <label htmlFor="subscription-format">Format</label>
+          <select
+            id="subscription-format"
+            className="format-select"
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            disabled={adding}
+          >
+            <option value="mp4">MP4 Video</option>
+            {AUDIO_FORMAT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="input-group">
+          <label htmlFor="subscription-interval">Check</label>
+          <select
+            id="subscription-interval"
+            className="format-select"
+            value={intervalMinutes}
+            onChange={(e) => setIntervalMinutes(Number(e.target.value))}
+            disabled={adding}
+          >
+            {INTERVAL_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <label className="checkbox-label">
+          <input type="checkbox" checked={backfill} onChange={(e) => setBackfill(e.target.checked)} disabled={adding} />
+          Also download the videos already there
+        </label>
+      </div>
+
+      <FileNameSetting
+        template={fileNameTemplate}
+        onChange={onFileNameTemplateChange}
+        fields={toFileNameFields(null, {})}
+        ext={format}
+      />
+
+      <button className="primary-btn subscription-add" onClick={addSubscription} disabled={adding || !url.trim() || !!templateError}>
+        {adding ? <Loader className="spinner" size={18} /> : <Plus size={18} />}
+        {adding ? 'Subscribing...' : 'Subscribe'}
+      </button>
+
+      {message && <p className="batch-message">{message}</p>}
+
+      {subscriptions.length === 0 ? (
+        <p className="history-empty">
+          <Rss size={16} /> No subscriptions yet.
+        </p>
+      ) : (
+        <div className="batch-table-wrapper">
+          <table className="batch-table">
+            <thead>
+              <tr>
+                <th>Channel or playlist</th>
+                <th>Format</th>
+                <th>Schedule</th>
+                <th>Downloaded</th>
+                <th>Status</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {subscriptions.map(subscription => (
+                <tr key={subscription.id}>
+                  <td>
+                    <div className="history-details">
+                      <span className="entry-title">{subscription.title}</span>
+                      <span className="history-meta">
+                        {subscription.lastCheckedAt ? `Checked ${formatDate(subscription.lastCheckedAt)}` : 'Not checked yet'}
+                      </span>
+                    </div>
+                  </td>
+                  <td>{formatLabel(subscription)}</td>
+                  <td>{formatInterval(subscription.intervalMinutes)}</td>
+                  <td>{subscription.downloadedCount}</td>
+                  <td>{renderStatus(subscription)}</td>
+                  <td>
+                    <div className="subscription-actions">
+                      <button
+                        className="icon-btn"
+                        onClick={() => checkNow(subscription)}
+                        disabled={subscription.checking}
+                        title="Check for new videos now"
+                      >
+                        <RefreshCw size={16} />
+                      </button>
+                      <button
+                        className="icon-btn"
+                        onClick={() => setEnabled(subscription, !subscription.enabled)}
+                        title={subscription.enabled ? 'Pause' : 'Resume'}
+                      >
+                        {subscription.enabled ? <Pause size={16} /> : <Play size={16} />}
+                      </button>
+                      <button className="icon-btn" onClick={() => remove(subscription)} title="Unsubscribe">
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default SubscriptionsView;
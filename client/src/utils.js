@@ -0,0 +1,126 @@
+export const AUDIO_FORMAT_OPTIONS = [
+  { value: 'mp3', label: 'MP3 (transcoded)' },
+  { value: 'm4a', label: 'M4A (AAC, original)' },
+  { value: 'opus', label: 'Opus (original)' },
+  { value: 'flac', label: 'FLAC (lossless)' },
+  { value: 'wav', label: 'WAV (uncompressed)' }
+];
+
+export const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+export const formatFileSize = (bytes) => {
+  if (!bytes) {
+    return null;
+  }
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+// What the user can do about each failure the server classifies; codes come
+// from server/lib/extractor-errors.js, storage.js and the route handlers
+const ERROR_GUIDANCE = {
+  PRIVATE_VIDEO: 'Only accounts the uploader invited can watch it, so it cannot be downloaded here.',
+  MEMBERS_ONLY: 'It needs a channel membership, so it cannot be downloaded here.',
+  AGE_RESTRICTED: 'YouTube only shows it to signed-in adults, so it cannot be downloaded here.',
+  GEO_BLOCKED: 'The uploader limited it to some countries. A server hosted in another region may be able to get it.',
+  COPYRIGHT_BLOCKED: 'YouTube no longer serves it to anyone.',
+  VIDEO_REMOVED: 'Check whether the uploader posted it again under a new link.',
+  VIDEO_UNAVAILABLE: 'Check that the link is complete and opens on YouTube.',
+  LIVE_NOT_STARTED: 'Try again once the stream or premiere is over.',
+  FORMAT_UNAVAILABLE: 'Pick a different quality or format.',
+  YOUTUBE_BLOCKED: 'This usually clears up on its own. Please try again in a few minutes.',
+  UPSTREAM_RATE_LIMITED: 'Please wait a minute before trying again.',
+  UPSTREAM_TIMEOUT: 'YouTube may be slow right now. Please try again.',
+  NETWORK_ERROR: 'Please try again in a moment.',
+  STORAGE_FULL: 'Other downloads are using the server\'s disk space right now.',
+  INSUFFICIENT_STORAGE: 'Audio-only downloads need far less space.',
+  DURATION_LIMIT: 'You can still download part of it: set a start and end time.',
+  SERVICE_UNAVAILABLE: 'If this keeps happening, let whoever runs this server know.',
+  TIMEOUT: 'Please try again in a moment.',
+  API_KEY_REQUIRED: 'This server only offers it to callers with an API key.',
+  EXTRACTOR_FAILED: 'YouTube may have changed something on their side. Please try again later.',
+  INVALID_REQUEST: 'Check the selected options and try again.',
+  INVALID_TEMPLATE: 'Fix the file name template, or clear it to use the default.',
+  CAPTIONS_NOT_FOUND: 'Pick another language, or try the automatic captions.',
+  FILE_NOT_FOUND: 'Finished downloads are only kept for a while. Please download it again.',
+  JOB_NOT_FOUND: 'Finished downloads are only kept for a while. Please download it again.'
+};
+
+// Helper function to add the guidance for an error code to a message
+export const withErrorGuidance = (message, code) => (
+  ERROR_GUIDANCE[code] ? `${message} ${ERROR_GUIDANCE[code]}` : message
+);
+
+// Pull a readable message out of an axios error
+export const getErrorMessage = (error, fallback) => {
+  const message = error.response?.data?.error ||
+                  error.response?.data?.message ||
+                  error.message ||
+                  fallback;
+  return typeof message === 'string' ? withErrorGuidance(message, error.response?.data?.code) : fallback;
+};
+
+// Rate limits and a full server are temporary, so a 429 gets a notice saying
+// how long to wait instead of an error; null for any other failure
+export const getRateLimitNotice = (error) => {
+  if (error.response?.status !== 429) {
+    return null;
+  }
+  const seconds = parseInt(error.response.headers?.['retry-after'], 10);
+  const wait = seconds > 0 ? `in ${seconds} second${seconds === 1 ? '' : 's'}` : 'in a moment';
+  if (error.response.data?.code === 'QUOTA_EXCEEDED') {
+    return `${error.response.data.error}. It resets at midnight UTC.`;
+  }
+  if (error.response.data?.code === 'SERVER_BUSY') {
+    return `The server is busy with other downloads. Please try again ${wait}.`;
+  }
+  return `You're going a little fast. Please try again ${wait}.`;
+};
+
+// Playlist pages and channels are listed entry by entry; a watch URL with a
+// list= parameter still means the single video
+export const isCollectionUrl = (value) => {
+  try {
+    const parsed = new URL(/^https?:\/\//.test(value) ? value : `https://${value}`);
+    if (parsed.searchParams.has('list') && !parsed.searchParams.has('v')) {
+      return true;
+    }
+    return /^\/(@[^/]+|channel\/|c\/|user\/)/.test(parsed.pathname);
+  } catch (err) {
+    return false;
+  }
+};
+
+// Parse "90", "1:30" or "01:01:30" into seconds (NaN when malformed)
+export const parseTimestamp = (value) => {
+  const text = String(value).trim();
+  if (!/^\d+(\.\d+)?$|^\d+(:[0-5]?\d){1,2}(\.\d+)?$/.test(text)) {
+    return NaN;
+  }
+  return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
+
+// Pull YouTube links out of pasted text or a .txt/.csv file, one per line or
+// separated by commas, semicolons or spaces; anything else is ignored
+export const parseUrlList = (text) => {
+  const found = text
+    .split(/[\s,;]+/)
+    .map(token => token.replace(/^["']+|["']+$/g, ''))
+    .filter(token => /(^|[/.])(youtube\.com|youtube-nocookie\.com|youtu\.be)\//i.test(token));
+  return [...new Set(found)];
+};
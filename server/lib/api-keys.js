@@ -0,0 +1,90 @@
+// Optional API keys, read from API_KEYS_FILE (see api-keys.example.json).
+// Requests without a key are anonymous and get the public limits; a key that
+// is not in the file is rejected
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('./config');
+const { HttpError } = require('./errors');
+
+let keyFile = null;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Load the key file once; no file means no keys. A broken file throws every
+// time rather than leaving the server without keys and quotas, and the
+// server loads it at startup so it refuses to start instead
+const loadKeyFile = () => {
+  if (keyFile) {
+    return keyFile;
+  }
+  const loaded = { keys: new Map(), anonymous: { quota: {} } };
+  if (!fs.existsSync(config.apiKeysFile)) {
+    keyFile = loaded;
+    return keyFile;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(config.apiKeysFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`${config.apiKeysFile}: ${error.message}`);
+  }
+  (parsed.keys || []).forEach(entry => {
+    if (!entry.id || !entry.key) {
+      throw new Error(`${config.apiKeysFile}: every key needs an id and a key`);
+    }
+    // Looked up by hash so the comparison doesn't leak timing about the key
+    loaded.keys.set(hashKey(entry.key), {
+      id: entry.id,
+      name: entry.name || entry.id,
+      quota: entry.quota || {},
+      rateLimit: entry.rateLimit || {}
+    });
+  });
+  loaded.anonymous = { quota: (parsed.anonymous && parsed.anonymous.quota) || {} };
+  keyFile = loaded;
+  return keyFile;
+};
+
+// Helper function to read the key from the X-API-Key header or api_key query
+const readKey = (req) => {
+  const header = req.headers['x-api-key'];
+  if (header) {
+    return String(header);
+  }
+  const query = req.query && req.query.api_key;
+  return query ? String(query) : null;
+};
+
+// Helper function to attach the caller's key to req.apiKey (null when
+// anonymous); throws a 401 for keys that don't exist
+const authenticate = (req) => {
+  const key = readKey(req);
+  if (!key) {
+    req.apiKey = null;
+    return;
+  }
+  const entry = loadKeyFile().keys.get(hashKey(key));
+  if (!entry) {
+    throw new HttpError(401, 'Invalid API key', 'INVALID_API_KEY');
+  }
+  req.apiKey = entry;
+};
+
+// Quotas for the caller: their key's, or the anonymous ones
+const getQuota = (req) => (req.apiKey ? req.apiKey.quota : loadKeyFile().anonymous.quota);
+
+// Helper function for routes that change what the server does on its own:
+// once keys are configured, anonymous callers can't use them
+const requireApiKey = (req) => {
+  if (!req.apiKey && loadKeyFile().keys.size > 0) {
+    throw new HttpError(401, 'An API key is required for this', 'API_KEY_REQUIRED');
+  }
+};
+
+module.exports = {
+  authenticate,
+  getQuota,
+  loadKeyFile,
+  requireApiKey
+};
@@ -0,0 +1,118 @@
+// Caption helpers: list the tracks yt-dlp reports and convert WebVTT into
+// the formats offered for download
+const CAPTION_FORMATS = {
+  vtt: 'text/vtt; charset=utf-8',
+  srt: 'application/x-subrip; charset=utf-8',
+  txt: 'text/plain; charset=utf-8'
+};
+
+const TIMESTAMP_LINE = /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})/;
+
+// Helper function to describe the manual and auto-generated caption languages
+const listCaptions = (info) => {
+  const describe = (tracks) => Object.keys(tracks || {})
+    .filter(lang => lang !== 'live_chat' && tracks[lang].length > 0)
+    .map(lang => ({ lang, name: tracks[lang][0].name || lang }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    manual: describe(info.subtitles),
+    auto: describe(info.automatic_captions)
+  };
+};
+
+// Helper function to check a language against the info; manual tracks win
+// over auto-generated ones unless auto is explicitly requested
+const findCaptionTrack = (info, lang, preferAuto) => {
+  const manual = !!(info.subtitles && info.subtitles[lang] && info.subtitles[lang].length > 0);
+  const auto = !!(info.automatic_captions && info.automatic_captions[lang] && info.automatic_captions[lang].length > 0);
+  if (manual && (!preferAuto || !auto)) {
+    return { lang, auto: false };
+  }
+  if (auto) {
+    return { lang, auto: true };
+  }
+  return null;
+};
+
+// Helper function to validate a comma-separated language list for embedding
+// soft subtitles into a video download
+const resolveSubtitleEmbed = (info, subtitles, format) => {
+  const langs = String(subtitles || '').split(',').map(lang => lang.trim()).filter(Boolean);
+  if (langs.length === 0) {
+    return { tracks: null };
+  }
+  if (format !== 'mp4') {
+    return { error: 'Subtitles can only be embedded in video downloads' };
+  }
+  const tracks = [];
+  for (const lang of langs) {
+    const track = findCaptionTrack(info, lang, false);
+    if (!track) {
+      return { error: `No captions available for language: ${lang}` };
+    }
+    tracks.push(track);
+  }
+  return { tracks };
+};
+
+// Split a WebVTT document into cues of { start, end, lines }
+const parseVtt = (vtt) => {
+  const blocks = vtt.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const cues = [];
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => TIMESTAMP_LINE.test(line));
+    if (timingIndex === -1) {
+      // WEBVTT header, NOTE, STYLE and REGION blocks carry no text
+      return;
+    }
+    const [, start, end] = lines[timingIndex].match(TIMESTAMP_LINE);
+    const text = lines.slice(timingIndex + 1)
+      .map(line => line
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .trim())
+      .filter(Boolean);
+    if (text.length > 0) {
+      cues.push({ start, end, lines: text });
+    }
+  });
+  return cues;
+};
+
+const toSrtTimestamp = (timestamp) => {
+  const padded = timestamp.split(':').length === 2 ? `00:${timestamp}` : timestamp;
+  return padded.replace('.', ',');
+};
+
+const vttToSrt = (vtt) =>
+  parseVtt(vtt)
+    .map((cue, index) => `${index + 1}\n${toSrtTimestamp(cue.start)} --> ${toSrtTimestamp(cue.end)}\n${cue.lines.join('\n')}\n`)
+    .join('\n');
+
+// Plain transcript; auto-generated captions repeat each line while it scrolls,
+// so consecutive duplicates are dropped
+const vttToText = (vtt) => {
+  const transcript = [];
+  parseVtt(vtt).forEach(cue => {
+    cue.lines.forEach(line => {
+      if (transcript[transcript.length - 1] !== line) {
+        transcript.push(line);
+      }
+    });
+  });
+  return `${transcript.join('\n')}\n`;
+};
+
+module.exports = {
+  CAPTION_FORMATS,
+  listCaptions,
+  findCaptionTrack,
+  resolveSubtitleEmbed,
+  vttToSrt,
+  vttToText
+};
@@ -0,0 +1,89 @@
+// Runtime settings shared by the Express server and the serverless functions,
+// all overridable through environment variables
+const os = require('os');
+const path = require('path');
+
+// Helper function to read an integer setting of at least min
+const readInteger = (value, fallback, min = 1) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+};
+
+const isServerless = process.env.VERCEL === '1';
+const downloadsDir = process.env.DOWNLOADS_DIR ||
+  (isServerless ? path.join(os.tmpdir(), 'youtube-downloader') : path.join(__dirname, '..', 'downloads'));
+
+module.exports = {
+  isServerless,
+  // Serverless functions can only write to the OS temp directory
+  downloadsDir,
+  // Finished downloads kept for resuming (see file-store.js)
+  filesDir: process.env.FILES_DIR || path.join(downloadsDir, 'files'),
+  fileRetentionMs: readInteger(process.env.FILE_RETENTION_MS, 15 * 60 * 1000),
+  // ytdlp talks to YouTube, fake serves canned fixtures for offline testing
+  extractor: process.env.EXTRACTOR || 'ytdlp',
+  // Leave unset to use the binaries bundled with ytdlp-nodejs
+  ytdlpBinaryPath: process.env.YTDLP_BINARY_PATH || undefined,
+  ffmpegPath: process.env.FFMPEG_PATH || undefined,
+  fakeFixturesDir: process.env.FAKE_FIXTURES_DIR || path.join(__dirname, 'extractors', 'fixtures'),
+  fakeDownloadDelayMs: readInteger(process.env.FAKE_DOWNLOAD_DELAY_MS, 100),
+  infoTimeoutMs: readInteger(process.env.INFO_TIMEOUT_MS, 30000),
+  // Video metadata cache; a TTL of 0 turns it off, INFO_CACHE_DIR persists it
+  infoCacheTtlMs: readInteger(process.env.INFO_CACHE_TTL_MS, 10 * 60 * 1000, 0),
+  infoCacheMaxEntries: readInteger(process.env.INFO_CACHE_MAX_ENTRIES, 500),
+  infoCacheDir: process.env.INFO_CACHE_DIR || undefined,
+  // Pipe downloads straight from the extractor when no post-processing needs a file
+  streamDownloads: process.env.STREAM_DOWNLOADS !== 'false',
+  // Default download file name (see filenames.js for the fields)
+  filenameTemplate: process.env.FILENAME_TEMPLATE || '{title} ({clip})',
+  jobConcurrency: readInteger(process.env.JOB_CONCURRENCY, 2),
+  // Extractor processes allowed at once across all routes and jobs, and how
+  // many requests may wait for one before the server answers 429
+  maxProcesses: readInteger(process.env.MAX_PROCESSES, 4),
+  maxProcessQueue: readInteger(process.env.MAX_PROCESS_QUEUE, 20, 0),
+  // Requests per client per window on the info and download routes; a window
+  // of 0 turns rate limiting off
+  rateLimitWindowMs: readInteger(process.env.RATE_LIMIT_WINDOW_MS, 60 * 1000, 0),
+  rateLimitInfoMax: readInteger(process.env.RATE_LIMIT_INFO_MAX, 60),
+  rateLimitDownloadMax: readInteger(process.env.RATE_LIMIT_DOWNLOAD_MAX, 10),
+  // Take the client IP from X-Forwarded-For; always on behind Vercel's proxy
+  trustProxy: isServerless || process.env.TRUST_PROXY === 'true',
+  // API keys and their quotas (see api-keys.example.json)
+  apiKeysFile: process.env.API_KEYS_FILE || path.join(__dirname, '..', 'api-keys.json'),
+  // Comma-separated origins allowed to call the API from a browser; * for any
+  corsOrigins: (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean),
+  // Disk budget for work directories and retained files together (0 for no
+  // limit; serverless functions only get a small /tmp), how many requests may
+  // wait for space, and what a download is assumed to need when its size is
+  // unknown
+  storageBudgetBytes: readInteger(process.env.STORAGE_BUDGET_BYTES, (isServerless ? 400 : 10 * 1024) * 1024 * 1024, 0),
+  storageMaxQueue: readInteger(process.env.STORAGE_MAX_QUEUE, 20, 0),
+  storageDefaultEstimateBytes: readInteger(process.env.STORAGE_DEFAULT_ESTIMATE_BYTES, 200 * 1024 * 1024),
+  // Free disk space below which the server reports itself not ready
+  minFreeBytes: readInteger(process.env.MIN_FREE_BYTES, 100 * 1024 * 1024, 0),
+  tempFileMaxAgeMs: 60 * 60 * 1000,
+  // Channel and playlist subscriptions: whether anyone may use them when no
+  // API keys are configured (with keys, a key is needed), where the list and
+  // the archives of downloaded videos are kept, where new uploads are saved,
+  // how much they may take up there (0 for no limit; they are kept until
+  // someone deletes them, apart from the download budget above), and how
+  // many videos one check may download
+  subscriptionsEnabled: process.env.SUBSCRIPTIONS_ENABLED === 'true',
+  subscriptionsDir: process.env.SUBSCRIPTIONS_DIR || path.join(__dirname, '..', 'data', 'subscriptions'),
+  subscriptionsOutputDir: process.env.SUBSCRIPTIONS_OUTPUT_DIR || path.join(__dirname, '..', 'subscriptions'),
+  subscriptionsMaxBytes: readInteger(process.env.SUBSCRIPTIONS_MAX_BYTES, 50 * 1024 * 1024 * 1024, 0),
+  subscriptionMaxPerCheck: readInteger(process.env.SUBSCRIPTION_MAX_PER_CHECK, 10),
+  // Secret for signing callbackUrl webhooks (callbacks are refused without
+  // one), attempts before giving up, the first retry delay (doubling after
+  // each failure), the wait for an answer, and optionally the only host names
+  // callbacks may go to (comma-separated; listing a host is also the only way
+  // to allow one with a private or loopback address)
+  webhookSecret: process.env.WEBHOOK_SECRET || '',
+  webhookMaxAttempts: readInteger(process.env.WEBHOOK_MAX_ATTEMPTS, 5),
+  webhookRetryDelayMs: readInteger(process.env.WEBHOOK_RETRY_DELAY_MS, 2000),
+  webhookTimeoutMs: readInteger(process.env.WEBHOOK_TIMEOUT_MS, 10000),
+  webhookAllowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean),
+  // debug, info, warn, error or silent; json for log pipelines, pretty for reading
+  logLevel: process.env.LOG_LEVEL || 'info',
+  logFormat: process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json'
+};
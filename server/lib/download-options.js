@@ -0,0 +1,343 @@
+// Shared helpers for turning a download request into yt-dlp options
+const fs = require('fs-extra');
+const { resolveSubtitleEmbed } = require('./captions');
+
+// MIME types for the containers a download can end up in
+const CONTENT_TYPES = {
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  mkv: 'video/x-matroska',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  opus: 'audio/ogg',
+  flac: 'audio/flac',
+  wav: 'audio/wav'
+};
+
+// Audio-only outputs. mp3 is transcoded at the requested bitrate; m4a and opus
+// keep the source codec when YouTube already serves it, flac and wav are lossless
+const AUDIO_FORMATS = {
+  mp3: { selector: 'bestaudio/best' },
+  m4a: { selector: 'bestaudio[ext=m4a]/bestaudio/best' },
+  opus: { selector: 'bestaudio[acodec=opus]/bestaudio/best' },
+  flac: { selector: 'bestaudio/best' },
+  wav: { selector: 'bestaudio/best' }
+};
+const MP3_BITRATES = ['128', '192', '256', '320'];
+const DEFAULT_MP3_BITRATE = '192';
+
+const hasVideoStream = (format) => !!format.vcodec && format.vcodec !== 'none';
+const hasAudioStream = (format) => !!format.acodec && format.acodec !== 'none';
+
+// Helper function to find what the default selector (best[ext=mp4]/best)
+// picks: formats are listed worst to best
+const findDefaultFormat = (formats) => {
+  const progressive = formats.filter(f => hasVideoStream(f) && hasAudioStream(f));
+  return progressive.filter(f => f.ext === 'mp4').pop() || progressive.pop();
+};
+
+// Helper function to turn the download query into a yt-dlp format selector.
+// formatId/audioFormatId must match format_ids from /api/formats; separate
+// video and audio streams are merged into one container by yt-dlp.
+const resolveDownloadFormat = (info, { format, formatId, audioFormatId, audioBitrate }) => {
+  const formats = info.formats || [];
+
+  if (AUDIO_FORMATS[format]) {
+    if (formatId) {
+      return { error: 'formatId only applies to video downloads' };
+    }
+    if (audioBitrate && (format !== 'mp3' || !MP3_BITRATES.includes(audioBitrate))) {
+      return { error: `audioBitrate must be one of ${MP3_BITRATES.join(', ')} and only applies to mp3` };
+    }
+    let selector = AUDIO_FORMATS[format].selector;
+    if (audioFormatId) {
+      const audio = formats.find(f => f.format_id === audioFormatId);
+      if (!audio || !hasAudioStream(audio)) {
+        return { error: `Format ${audioFormatId} is not an available audio format` };
+      }
+      selector = audioFormatId;
+    }
+    return {
+      selector,
+      audio: {
+        format,
+        bitrate: format === 'mp3' ? (audioBitrate || DEFAULT_MP3_BITRATE) : null
+      }
+    };
+  }
+
+  if (format !== 'mp4') {
+    return { error: `Unsupported format: ${format}` };
+  }
+
+  if (!formatId) {
+    if (audioFormatId) {
+      return { error: 'audioFormatId requires formatId' };
+    }
+    return { selector: 'best[ext=mp4]/best' };
+  }
+
+  const video = formats.find(f => f.format_id === formatId);
+  if (!video || !hasVideoStream(video)) {
+    return { error: `Format ${formatId} is not an available video format` };
+  }
+
+  if (audioFormatId) {
+    const audio = formats.find(f => f.format_id === audioFormatId);
+    if (!audio || !hasAudioStream(audio) || hasVideoStream(audio)) {
+      return { error: `Format ${audioFormatId} is not an available audio-only format` };
+    }
+    const sameFamily = (video.ext === 'mp4' && audio.ext === 'm4a') ||
+      (video.ext === 'webm' && audio.ext === 'webm');
+    return {
+      selector: `${formatId}+${audioFormatId}`,
+      mergeOutputFormat: sameFamily ? video.ext : 'mkv'
+    };
+  }
+
+  if (hasAudioStream(video)) {
+    return { selector: formatId };
+  }
+
+  // Video-only (DASH) stream: pair it with the best matching audio
+  return video.ext === 'mp4'
+    ? { selector: `${formatId}+bestaudio[ext=m4a]/${formatId}+bestaudio`, mergeOutputFormat: 'mp4/mkv' }
+    : { selector: `${formatId}+bestaudio[ext=webm]/${formatId}+bestaudio`, mergeOutputFormat: 'webm/mkv' };
+};
+
+// Helper function to parse "90", "1:30", "01:01:30" or "90.5" into seconds
+const parseTimestamp = (value) => {
+  const text = String(value).trim();
+  if (!/^\d+(\.\d+)?$|^\d+(:[0-5]?\d){1,2}(\.\d+)?$/.test(text)) {
+    return NaN;
+  }
+  return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
+
+// Helper function to pick the best video stream of a given height, for
+// callers that ask for a quality ("1080p") rather than a format_id. Prefers
+// mp4 so the result merges without re-muxing; null when there is none
+const findFormatIdByHeight = (info, height) => {
+  const candidates = (info.formats || [])
+    .filter(f => hasVideoStream(f) && f.height === height)
+    .sort((a, b) => (b.ext === 'mp4') - (a.ext === 'mp4') || (b.tbr || 0) - (a.tbr || 0));
+  return candidates.length > 0 ? candidates[0].format_id : null;
+};
+
+// Helper function to validate a start/end clip against the video duration.
+// Either bound may be omitted; returns { range } (null when no clip) or { error }
+const resolveClipRange = (info, { start, end, precise }) => {
+  const hasStart = start !== undefined && start !== '';
+  const hasEnd = end !== undefined && end !== '';
+  if (!hasStart && !hasEnd) {
+    return { range: null };
+  }
+
+  const startSeconds = hasStart ? parseTimestamp(start) : 0;
+  const endSeconds = hasEnd ? parseTimestamp(end) : (info.duration || Infinity);
+  if (Number.isNaN(startSeconds) || Number.isNaN(endSeconds)) {
+    return { error: 'start and end must be seconds or hh:mm:ss' };
+  }
+  if (endSeconds <= startSeconds) {
+    return { error: 'end must be after start' };
+  }
+  if (info.duration && (startSeconds >= info.duration || endSeconds > info.duration)) {
+    return { error: `Clip must be within the video duration (${info.duration}s)` };
+  }
+
+  return {
+    range: {
+      start: startSeconds,
+      end: endSeconds,
+      precise: precise === true || precise === 'true' || precise === '1'
+    }
+  };
+};
+
+// Helper function to add audio extraction and tagging to yt-dlp options.
+// Title comes from the video, artist from the uploader and the thumbnail
+// becomes the cover art (wav has no standard place for it).
+const applyAudioOptions = (downloadOptions, audio) => {
+  downloadOptions.extractAudio = true;
+  downloadOptions.audioFormat = audio.format;
+  if (audio.bitrate) {
+    downloadOptions.audioQuality = `${audio.bitrate}K`;
+  }
+  downloadOptions.embedMetadata = true;
+  downloadOptions.parseMetadata = { uploader: '(?P<artist>.+)' };
+  if (audio.format !== 'wav') {
+    downloadOptions.embedThumbnail = true;
+    downloadOptions.convertThumbnails = 'jpg';
+  }
+};
+
+// Helper function to resolve every download parameter (streams, clip range,
+// embedded subtitles) against the video info in one go
+const resolveDownloadRequest = (info, { format, formatId, audioFormatId, audioBitrate, start, end, precise, subtitles }) => {
+  const selection = resolveDownloadFormat(info, { format, formatId, audioFormatId, audioBitrate });
+  if (selection.error) {
+    return { error: selection.error };
+  }
+
+  const clip = resolveClipRange(info, { start, end, precise });
+  if (clip.error) {
+    return { error: clip.error };
+  }
+  selection.clip = clip.range;
+
+  const subtitleEmbed = resolveSubtitleEmbed(info, subtitles, format);
+  if (subtitleEmbed.error) {
+    return { error: subtitleEmbed.error };
+  }
+  selection.subtitles = subtitleEmbed.tracks;
+
+  return { selection };
+};
+
+// Helper function to build the yt-dlp options for a resolved selection
+const buildDownloadOptions = (selection, output) => {
+  const downloadOptions = {
+    output,
+    format: selection.selector,
+    noPlaylist: true
+  };
+  if (selection.mergeOutputFormat) {
+    downloadOptions.mergeOutputFormat = selection.mergeOutputFormat;
+  }
+  if (selection.audio) {
+    applyAudioOptions(downloadOptions, selection.audio);
+  }
+  if (selection.subtitles) {
+    // Soft subtitles: yt-dlp fetches the tracks and muxes them into the container
+    downloadOptions.writeSubs = selection.subtitles.some(track => !track.auto);
+    downloadOptions.writeAutoSubs = selection.subtitles.some(track => track.auto);
+    downloadOptions.subLangs = selection.subtitles.map(track => track.lang);
+    downloadOptions.embedSubs = true;
+  }
+  if (selection.clip) {
+    // Without precise cuts yt-dlp snaps to the nearest keyframes; forcing
+    // keyframes re-encodes around the cut points
+    const end = Number.isFinite(selection.clip.end) ? selection.clip.end : 'inf';
+    downloadOptions.downloadSections = `*${selection.clip.start}-${end}`;
+    if (selection.clip.precise) {
+      downloadOptions.forceKeyframesAtCuts = true;
+    }
+  }
+  return downloadOptions;
+};
+
+// Helper function to pick the container a merge ends up in. "mp4/mkv" means
+// mp4 when both streams fit in it, so check the audio yt-dlp will pair it with
+const toStreamContainer = (info, selection) => {
+  const [preferred] = selection.mergeOutputFormat.split('/');
+  if (!selection.mergeOutputFormat.includes('/')) {
+    return { ext: preferred, selector: selection.selector };
+  }
+  const videoId = selection.selector.split('+')[0];
+  const audioExt = preferred === 'mp4' ? 'm4a' : 'webm';
+  const hasMatchingAudio = (info.formats || []).some(f =>
+    f.ext === audioExt && hasAudioStream(f) && !hasVideoStream(f));
+  return hasMatchingAudio
+    ? { ext: preferred, selector: `${videoId}+bestaudio[ext=${audioExt}]` }
+    : { ext: 'mkv', selector: `${videoId}+bestaudio` };
+};
+
+// Helper function to plan a download that pipes yt-dlp's stdout straight to
+// the client. Returns { ext, options }, or null when the selection needs
+// post-processing on a seekable file (audio extraction, embedded subtitles,
+// thumbnails, clip cuts) and has to be staged on disk instead
+const planStreamDownload = (info, selection) => {
+  if (selection.audio || selection.subtitles || selection.clip) {
+    return null;
+  }
+
+  if (selection.mergeOutputFormat) {
+    // Muxing to a pipe: fragmented MP4 needs no seeking, MKV/WebM never do
+    const { ext, selector } = toStreamContainer(info, selection);
+    const options = { format: selector, noPlaylist: true, mergeOutputFormat: ext };
+    if (ext === 'mp4') {
+      options.downloaderArgs = 'ffmpeg:-movflags +frag_keyframe+empty_moov';
+    }
+    return { ext, options };
+  }
+
+  const formats = info.formats || [];
+  const format = formats.find(f => f.format_id === selection.selector) || findDefaultFormat(formats);
+  if (!format) {
+    return null;
+  }
+  return { ext: format.ext, options: { format: format.format_id, noPlaylist: true } };
+};
+
+// Helper function to find the file yt-dlp produced for a temp output prefix
+const findDownloadedFile = (dir, prefix, ext) => {
+  const files = fs.readdirSync(dir);
+  return files.find(f =>
+    f.startsWith(`${prefix}.`) &&
+    (!ext || f.endsWith(`.${ext}`)) &&
+    !f.endsWith('.part') &&
+    !f.endsWith('.ytdl') &&
+    !/\.f\d+\.\w+$/.test(f) &&
+    !/\.(vtt|srt|ass|ttml|srv\d|json3)$/.test(f)
+  );
+};
+
+// Helper function to get how many seconds of video a selection covers, for
+// the duration quota
+const getSelectionDuration = (info, selection) => (
+  selection.clip ? selection.clip.end - selection.clip.start : (info.duration || 0)
+);
+
+// Helper function to estimate the disk space a selection needs, from the
+// sizes YouTube reports or the bitrate and duration; null when unknown.
+// Doubled because the source streams and the merged or converted output sit
+// side by side until post-processing is done
+const estimateSelectionBytes = (info, selection) => {
+  const formats = info.formats || [];
+  const duration = info.duration || 0;
+  let picked = selection.selector.split('/')[0].split('+')
+    .map(id => formats.find(f => f.format_id === id))
+    .filter(Boolean);
+  if (picked.length === 0) {
+    const bestAudio = formats
+      .filter(f => hasAudioStream(f) && !hasVideoStream(f))
+      .sort((a, b) => (b.tbr || 0) - (a.tbr || 0))[0];
+    picked = [selection.audio ? bestAudio : findDefaultFormat(formats)].filter(Boolean);
+  }
+  let bytes = picked.reduce((total, f) =>
+    total + (f.filesize || f.filesize_approx || (f.tbr || 0) * 125 * duration), 0);
+  if (selection.audio && selection.audio.format === 'wav') {
+    // 16-bit stereo PCM at 44.1 kHz
+    bytes = Math.max(bytes, 176400 * duration);
+  }
+  if (selection.clip && duration) {
+    bytes *= getSelectionDuration(info, selection) / duration;
+  }
+  return bytes > 0 ? Math.ceil(bytes * 2) : null;
+};
+
+// Helper function to describe the video height a selection downloads, e.g.
+// "1080p"; "audio" for audio-only and "" when the info doesn't say
+const getSelectionResolution = (info, selection) => {
+  if (selection.audio) {
+    return 'audio';
+  }
+  const formats = info.formats || [];
+  const videoId = selection.selector.split(/[+/]/)[0];
+  const format = formats.find(f => f.format_id === videoId) || findDefaultFormat(formats);
+  return format && format.height ? `${format.height}p` : '';
+};
+
+module.exports = {
+  CONTENT_TYPES,
+  resolveDownloadFormat,
+  findFormatIdByHeight,
+  resolveClipRange,
+  resolveDownloadRequest,
+  getSelectionDuration,
+  getSelectionResolution,
+  estimateSelectionBytes,
+  buildDownloadOptions,
+  planStreamDownload,
+  findDownloadedFile
+};
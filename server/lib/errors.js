@@ -0,0 +1,36 @@
+// Errors that carry the HTTP status and machine-readable code sent to clients;
+// details are extra fields for the response body
+class HttpError extends Error {
+  constructor(status, message, code, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const SERVICE_UNAVAILABLE_MESSAGE = 'YouTube downloader service is temporarily unavailable. Please try again later or use a different hosting platform.';
+
+// yt-dlp could not be run at all, as opposed to failing on a particular video
+const INIT_FAILURE = /Ytdlp binary not found|Failed to start yt-dlp process|library is not available/;
+
+// Helper function to map any thrown error to { status, body }
+const toErrorResponse = (error, fallbackMessage) => {
+  if (error instanceof HttpError) {
+    return { status: error.status, body: { error: error.message, code: error.code, ...error.details } };
+  }
+  if (error && INIT_FAILURE.test(error.message)) {
+    return { status: 503, body: { error: SERVICE_UNAVAILABLE_MESSAGE, code: 'SERVICE_UNAVAILABLE' } };
+  }
+  return {
+    status: 500,
+    body: { error: (error && error.message) || fallbackMessage, code: 'UNKNOWN' }
+  };
+};
+
+module.exports = {
+  HttpError,
+  SERVICE_UNAVAILABLE_MESSAGE,
+  toErrorResponse
+};
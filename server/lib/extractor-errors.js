@@ -0,0 +1,112 @@
+// yt-dlp reports every failure as free text on stderr. These rules turn that
+// text into stable codes, statuses and messages clients can rely on; the
+// fixtures under extractors/fixtures/videos hold recorded samples of each.
+// Order matters: YouTube prefixes most of these with "Video unavailable", so
+// the specific reasons come before the generic one
+const { HttpError } = require('./errors');
+
+const EXTRACTOR_ERRORS = [
+  {
+    code: 'PRIVATE_VIDEO',
+    status: 403,
+    pattern: /Private video|This video is private/i,
+    message: 'This video is private.'
+  },
+  {
+    code: 'MEMBERS_ONLY',
+    status: 403,
+    pattern: /members[- ]only|available to this channel's members/i,
+    message: 'This video is only available to channel members.'
+  },
+  {
+    code: 'AGE_RESTRICTED',
+    status: 403,
+    pattern: /confirm your age|age[- ]restricted|inappropriate for some users/i,
+    message: 'This video is age-restricted and cannot be downloaded without signing in.'
+  },
+  {
+    code: 'GEO_BLOCKED',
+    status: 451,
+    pattern: /not (made this video )?available in your country|geo[- ]?restrict/i,
+    message: 'This video is not available in the server\'s country.'
+  },
+  {
+    code: 'COPYRIGHT_BLOCKED',
+    status: 451,
+    pattern: /copyright (claim|grounds)/i,
+    message: 'This video was taken down because of a copyright claim.'
+  },
+  {
+    code: 'VIDEO_REMOVED',
+    status: 404,
+    pattern: /removed by the uploader|account associated with this video has been terminated|violating YouTube's/i,
+    message: 'This video has been removed.'
+  },
+  {
+    code: 'LIVE_NOT_STARTED',
+    status: 409,
+    pattern: /live event will begin|Premieres? (will begin|in )|This live event has not started/i,
+    message: 'This live stream or premiere has not started yet.'
+  },
+  {
+    code: 'VIDEO_UNAVAILABLE',
+    status: 404,
+    pattern: /Video unavailable|This video is (not|no longer) available|Incomplete YouTube ID|HTTP Error 404/i,
+    message: 'This video is unavailable.'
+  },
+  {
+    code: 'FORMAT_UNAVAILABLE',
+    status: 400,
+    pattern: /Requested format is not available/i,
+    message: 'The requested format is not available for this video.'
+  },
+  {
+    code: 'YOUTUBE_BLOCKED',
+    status: 503,
+    pattern: /confirm you.re not a bot|HTTP Error 403/i,
+    message: 'YouTube is temporarily blocking requests from this server.',
+    retryAfter: 300
+  },
+  {
+    code: 'UPSTREAM_RATE_LIMITED',
+    status: 503,
+    pattern: /HTTP Error 429|Too Many Requests/i,
+    message: 'YouTube is rate limiting this server.',
+    retryAfter: 60
+  },
+  {
+    code: 'UPSTREAM_TIMEOUT',
+    status: 504,
+    pattern: /timed out/i,
+    message: 'YouTube took too long to respond.'
+  },
+  {
+    code: 'NETWORK_ERROR',
+    status: 503,
+    pattern: /Unable to download (webpage|API page)|Connection (reset|refused)|Temporary failure in name resolution|Network is unreachable|getaddrinfo/i,
+    message: 'The server could not reach YouTube.',
+    retryAfter: 30
+  }
+];
+
+// Failures that are ours rather than yt-dlp's; toErrorResponse handles these
+const PASS_THROUGH = /^Download cancelled$|Ytdlp binary not found|Failed to start yt-dlp process|library is not available/;
+
+// Helper function to turn anything an extractor threw into an HttpError. The
+// original error is kept as cause so logs still show yt-dlp's own words
+const classifyExtractorError = (error) => {
+  if (error instanceof HttpError || !error || PASS_THROUGH.test(error.message)) {
+    return error;
+  }
+  const rule = EXTRACTOR_ERRORS.find(candidate => candidate.pattern.test(error.message));
+  const classified = rule
+    ? new HttpError(rule.status, rule.message, rule.code, rule.retryAfter ? { retryAfter: rule.retryAfter } : undefined)
+    : new HttpError(502, 'YouTube returned an error the server did not recognise.', 'EXTRACTOR_FAILED');
+  classified.cause = error;
+  return classified;
+};
+
+module.exports = {
+  EXTRACTOR_ERRORS,
+  classifyExtractorError
+};
@@ -0,0 +1,163 @@
+// Offline extractor for the route tests (see test/) and demos: serves canned
+// info JSON from the fixtures directory and writes generated media files
+// instead of calling YouTube. Select it with EXTRACTOR=fake
+const fs = require('fs-extra');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { parseYouTubeURL } = require('../youtube-url');
+
+const DOWNLOAD_STEPS = 5;
+const MEDIA_SIZE = 64 * 1024;
+
+// Helper function to guess the extension yt-dlp would give the output file
+const getOutputExt = (options, formats) => {
+  if (options.extractAudio) {
+    return options.audioFormat;
+  }
+  const selector = String(options.format || '');
+  if (options.mergeOutputFormat && selector.includes('+')) {
+    return options.mergeOutputFormat.split('/')[0];
+  }
+  const firstId = selector.split(/[/+[]/)[0];
+  const format = formats.find(f => f.format_id === firstId);
+  if (format) {
+    return format.ext;
+  }
+  const ext = selector.match(/ext=(\w+)/);
+  return ext ? ext[1] : 'mp4';
+};
+
+// Helper function to generate the bytes of a fake media file
+const generateMedia = () => {
+  const media = Buffer.alloc(MEDIA_SIZE);
+  for (let i = 0; i < MEDIA_SIZE; i++) {
+    media[i] = i % 251;
+  }
+  return media;
+};
+
+const createFakeExtractor = ({ fakeFixturesDir, fakeDownloadDelayMs = 100 }) => {
+  // Helper function to read <dir>/<id>.json, falling back to <dir>/default.json
+  const readFixture = async (dir, id) => {
+    const file = path.join(fakeFixturesDir, dir, `${id}.json`);
+    if (await fs.pathExists(file)) {
+      return fs.readJson(file);
+    }
+    return { ...(await fs.readJson(path.join(fakeFixturesDir, dir, 'default.json'))), id };
+  };
+
+  const getInfo = async (url, options = {}, { signal } = {}) => {
+    const link = parseYouTubeURL(url);
+    if (!link.ok) {
+      throw new Error(`ERROR: Unsupported URL: ${url}`);
+    }
+
+    // Playlist fixtures are named after the list id or the channel handle
+    if (link.kind === 'playlist' || link.kind === 'channel') {
+      return readFixture('playlists', link.playlistId || link.channel.replace(/[^\w@-]/g, '_'));
+    }
+    const info = await readFixture('videos', link.videoId);
+    if (info.hangs) {
+      // Like a yt-dlp process that never answers: only aborting ends it
+      return new Promise((resolve, reject) => {
+        if (signal) {
+          signal.addEventListener('abort', () => reject(new Error('Lookup aborted')), { once: true });
+        }
+      });
+    }
+    if (info.error) {
+      // Fixtures can describe a failing video, e.g. { "error": "ERROR: ... Private video" }
+      throw new Error(info.error);
+    }
+    return { ...info, webpage_url: `https://www.youtube.com/watch?v=${info.id}` };
+  };
+
+  const listFormats = async (url, callbacks) => (await getInfo(url, { noPlaylist: true }, callbacks)).formats || [];
+
+  // Reports progress in a few steps, then writes the media file (and any
+  // requested caption tracks) where yt-dlp would have put them. With a media
+  // stream the file is written to it in chunks instead
+  const run = (url, options, { onProgress, onPostprocess } = {}, media = null) => {
+    let timer = null;
+    let cancelled = false;
+    let rejectDone = null;
+
+    const done = getInfo(url, { noPlaylist: true }).then(info => new Promise((resolve, reject) => {
+      if (cancelled) {
+        return reject(new Error('Download cancelled'));
+      }
+      rejectDone = reject;
+      const output = (ext) => options.output.replace('%(ext)s', ext);
+      const bytes = generateMedia();
+      const chunkSize = Math.ceil(MEDIA_SIZE / DOWNLOAD_STEPS);
+      let step = 0;
+
+      const finish = async () => {
+        if (options.writeSubs || options.writeAutoSubs) {
+          const vtt = await fs.readFile(path.join(fakeFixturesDir, 'captions.vtt'));
+          await Promise.all((options.subLangs || []).map(lang => fs.writeFile(output(`${lang}.vtt`), vtt)));
+        }
+        if (media) {
+          media.end();
+        } else if (!options.skipDownload) {
+          if (onPostprocess && (options.extractAudio || options.mergeOutputFormat)) {
+            onPostprocess(options.extractAudio ? 'ExtractAudio' : 'Merger');
+          }
+          await fs.writeFile(output(getOutputExt(options, info.formats || [])), bytes);
+        }
+        resolve();
+      };
+
+      const tick = () => {
+        if (media) {
+          media.write(bytes.subarray(step * chunkSize, (step + 1) * chunkSize));
+        }
+        step++;
+        if (onProgress && !options.skipDownload) {
+          onProgress({
+            percent: (step / DOWNLOAD_STEPS) * 100,
+            downloadedBytes: Math.round((step / DOWNLOAD_STEPS) * MEDIA_SIZE),
+            totalBytes: MEDIA_SIZE,
+            speed: MEDIA_SIZE / DOWNLOAD_STEPS / (fakeDownloadDelayMs / 1000 || 1),
+            eta: ((DOWNLOAD_STEPS - step) * fakeDownloadDelayMs) / 1000
+          });
+        }
+        if (step < DOWNLOAD_STEPS) {
+          timer = setTimeout(tick, fakeDownloadDelayMs);
+        } else {
+          finish().catch(reject);
+        }
+      };
+      timer = setTimeout(tick, fakeDownloadDelayMs);
+    }));
+
+    const cancel = () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (rejectDone) {
+        rejectDone(new Error('Download cancelled'));
+      }
+    };
+
+    return { done, cancel };
+  };
+
+  const download = (url, options, callbacks) => run(url, options, callbacks);
+
+  const stream = (url, options, callbacks) => {
+    const media = new PassThrough();
+    const { done, cancel } = run(url, { ...options, output: '-' }, callbacks, media);
+    done.catch(error => media.destroy(error));
+    return { stream: media, done, cancel };
+  };
+
+  // Nothing to run, so always installed
+  const checkInstallation = async () => ({
+    ytdlp: { ok: true, version: 'fake', error: null },
+    ffmpeg: { ok: true, version: 'fake', error: null }
+  });
+
+  return { name: 'fake', getInfo, listFormats, download, stream, checkInstallation };
+};
+
+module.exports = createFakeExtractor;
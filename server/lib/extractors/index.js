@@ -0,0 +1,219 @@
+// Extractor backends. Every backend implements the same interface:
+//   getInfo(url, options, { signal })
+//                              video or playlist metadata in yt-dlp's JSON shape;
+//                              aborting signal stops the lookup's process
+//   listFormats(url, { signal })
+//                              the formats array of a single video
+//   download(url, options, { onProgress, onPostprocess })
+//                              returns { done, cancel }; options are the yt-dlp
+//                              style options built by download-options.js
+//   stream(url, options, callbacks)
+//                              same, but the file is written to a readable
+//                              stream: returns { stream, done, cancel }
+//   checkInstallation()        { ytdlp, ffmpeg }, each { ok, version, error },
+//                              for the readiness check; never rejects
+// EXTRACTOR picks the backend: ytdlp (default) or fake (offline fixtures).
+// The wrappers exported here run every call inside a process slot (see
+// process-slots.js); download and stream take { force } to wait regardless
+// of the queue limit. Failures come out classified (see extractor-errors.js)
+const { PassThrough } = require('stream');
+const config = require('../config');
+const { HttpError, toErrorResponse } = require('../errors');
+const { classifyExtractorError } = require('../extractor-errors');
+const { createInfoCache } = require('../info-cache');
+const { logger } = require('../logger');
+const { observeDownload } = require('../metrics');
+const { createProcessSlots } = require('../process-slots');
+const { getVideoId } = require('../youtube-url');
+const createYtDlpExtractor = require('./ytdlp');
+const createFakeExtractor = require('./fake');
+
+const EXTRACTORS = {
+  ytdlp: createYtDlpExtractor,
+  fake: createFakeExtractor
+};
+
+let extractor = null;
+
+const infoCache = createInfoCache({
+  ttlMs: config.infoCacheTtlMs,
+  maxEntries: config.infoCacheMaxEntries,
+  dir: config.infoCacheDir
+});
+
+const processSlots = createProcessSlots({
+  concurrency: config.maxProcesses,
+  maxQueue: config.maxProcessQueue
+});
+
+// Helper function to get the configured extractor, created on first use
+const getExtractor = () => {
+  if (!extractor) {
+    const create = EXTRACTORS[config.extractor];
+    if (!create) {
+      throw new Error(`Unknown extractor "${config.extractor}", expected one of ${Object.keys(EXTRACTORS).join(', ')}`);
+    }
+    extractor = create(config);
+  }
+  return extractor;
+};
+
+// Helper function to rethrow a backend failure as a classified HttpError
+const rethrowClassified = (error) => {
+  throw classifyExtractorError(error);
+};
+
+// Helper function to run a metadata lookup in a process slot and give up
+// after the configured timeout, since YouTube can hang for minutes. lookup
+// gets an abort signal that the timeout fires to stop the process; the slot
+// is only freed once the lookup has actually ended, so a process that is
+// slow to die still counts against the cap. The timeout starts once the
+// process does, not while it waits for a slot
+const runLookup = async (lookup) => {
+  const release = await processSlots.acquire();
+  const controller = new AbortController();
+  const settled = Promise.resolve().then(() => lookup(controller.signal));
+  settled.then(release, release);
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new HttpError(504, 'Request timeout - YouTube may be slow or unavailable', 'TIMEOUT'));
+    }, config.infoTimeoutMs);
+  });
+  try {
+    return await Promise.race([settled, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const getInfo = (url, options) => runLookup(signal => getExtractor().getInfo(url, options, { signal }))
+  .catch(rethrowClassified);
+
+// Helper function to get single-video info through the cache, keyed by video
+// id so every URL form of a video shares one entry. Returns { info, cacheStatus }
+const getVideoInfo = async (url) => {
+  const id = getVideoId(url);
+  if (!id) {
+    return { info: await getInfo(url, { noPlaylist: true }), cacheStatus: 'BYPASS' };
+  }
+  const { value, status } = await infoCache.fetch(`video:${id}`, () => getInfo(url, { noPlaylist: true }));
+  return { info: value, cacheStatus: status };
+};
+
+const listFormats = (url) => runLookup(signal => getExtractor().listFormats(url, { signal }))
+  .catch(rethrowClassified);
+
+// Helper function to wrap a download's callbacks to count the bytes it
+// fetched. yt-dlp counts each stream of a merged format from zero
+const trackBytes = (callbacks = {}) => {
+  let finished = 0;
+  let current = 0;
+  const onProgress = (progress) => {
+    if (progress.downloadedBytes !== null) {
+      if (progress.downloadedBytes < current) {
+        finished += current;
+      }
+      current = progress.downloadedBytes;
+    }
+    if (callbacks.onProgress) {
+      callbacks.onProgress(progress);
+    }
+  };
+  return { callbacks: { ...callbacks, onProgress }, getBytes: () => finished + current };
+};
+
+// Helper function to make the report of a download: one log line summing it
+// up, and its duration in the metrics
+const reportDownload = (url, options, getBytes) => (startedAt, error) => {
+  let outcome = 'completed';
+  if (error) {
+    outcome = error.message === 'Download cancelled' ? 'cancelled' : 'failed';
+  }
+  const code = outcome === 'failed' ? toErrorResponse(error).body.code : undefined;
+  const durationMs = Date.now() - startedAt;
+  observeDownload(outcome, durationMs / 1000, code);
+  const summary = {
+    videoId: getVideoId(url) || url,
+    format: options.format,
+    audioFormat: options.extractAudio ? options.audioFormat : undefined,
+    clip: options.downloadSections,
+    bytes: getBytes(),
+    durationMs,
+    outcome,
+    code
+  };
+  if (outcome === 'failed') {
+    logger.warn('Download failed', { ...summary, error });
+  } else {
+    logger.info(`Download ${outcome}`, summary);
+  }
+};
+
+// Helper function to start a download once a slot is free. start returns the
+// backend's { done, cancel }; the result has the same shape straight away, and
+// cancelling while still queued gives the slot up without spawning anything.
+// report is called when a started download settles
+const withSlot = (start, { force } = {}, report) => {
+  let handle = null;
+  let cancelled = false;
+  let startedAt = null;
+  const done = processSlots.acquire({ force }).then((release) => {
+    if (cancelled) {
+      release();
+      throw new Error('Download cancelled');
+    }
+    startedAt = Date.now();
+    handle = start();
+    return handle.done.finally(release);
+  }).catch(rethrowClassified);
+  // Time spent waiting for the slot doesn't count towards the duration
+  done.then(() => report(startedAt), (error) => {
+    if (startedAt) {
+      report(startedAt, error);
+    }
+  });
+  const cancel = () => {
+    cancelled = true;
+    if (handle) {
+      handle.cancel();
+    }
+  };
+  return { done, cancel };
+};
+
+const download = (url, options, callbacks, slotOptions) => {
+  const tracked = trackBytes(callbacks);
+  return withSlot(() => getExtractor().download(url, options, tracked.callbacks), slotOptions,
+    reportDownload(url, options, tracked.getBytes));
+};
+
+const stream = (url, options, callbacks, slotOptions) => {
+  // Hand out a stream now and feed it once the backend starts
+  const media = new PassThrough();
+  let bytes = 0;
+  const { done, cancel } = withSlot(() => {
+    const handle = getExtractor().stream(url, options, callbacks);
+    // Failures arrive through done; this only keeps them from being unhandled
+    handle.stream.on('error', () => {});
+    handle.stream.on('data', chunk => {
+      bytes += chunk.length;
+    });
+    handle.stream.pipe(media);
+    return handle;
+  }, slotOptions, reportDownload(url, options, () => bytes));
+  done.catch((error) => media.destroy(error));
+  return { stream: media, done, cancel };
+};
+
+module.exports = {
+  getExtractor,
+  getInfo,
+  getVideoInfo,
+  infoCache,
+  listFormats,
+  processSlots,
+  download,
+  stream
+};
@@ -0,0 +1,201 @@
+// Default extractor backed by the yt-dlp binary (via ytdlp-nodejs). The
+// instance is created on first use so a missing library or binary becomes a
+// 503 instead of a crash at startup
+const { execFile } = require('child_process');
+const fs = require('fs');
+const { PassThrough } = require('stream');
+const { HttpError, SERVICE_UNAVAILABLE_MESSAGE } = require('../errors');
+const { logger } = require('../logger');
+
+// yt-dlp post-processor tags as they appear in its output, e.g. "[Merger] Merging formats"
+const POSTPROCESSOR_PATTERN = /\[(Merger|ExtractAudio|EmbedThumbnail|ThumbnailsConvertor|Metadata|EmbedSubtitle|SubtitlesConvertor|VideoRemuxer|VideoConvertor|ModifyChapters|Fixup\w+)\]/g;
+
+// How long a version command may take before the binary counts as broken
+const VERSION_TIMEOUT_MS = 10000;
+// Large channels dump many megabytes of JSON
+const INFO_MAX_BUFFER = 256 * 1024 * 1024;
+
+// Helper function to keep a progress field only when yt-dlp reported a number
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+// Helper function to run a binary's version command. Resolves with
+// { ok, version, error } and never rejects
+const readVersion = (binaryPath, args) => new Promise((resolve) => {
+  execFile(binaryPath, args, { timeout: VERSION_TIMEOUT_MS }, (error, stdout) => {
+    if (error) {
+      resolve({ ok: false, version: null, error: error.code === 'ENOENT' ? 'Binary not found' : error.message.split('\n')[0] });
+      return;
+    }
+    // "2024.08.06" for yt-dlp, "ffmpeg version 6.1.1 Copyright ..." for ffmpeg
+    const firstLine = stdout.split('\n')[0].trim();
+    const match = /version (\S+)/.exec(firstLine);
+    resolve({ ok: true, version: match ? match[1] : firstLine, error: null });
+  });
+});
+
+const createYtDlpExtractor = ({ ytdlpBinaryPath, ffmpegPath }) => {
+  let ytdlp = null;
+  let createArgs = null;
+  let installationCheck = null;
+
+  const getYtDlp = () => {
+    if (!ytdlp) {
+      let YtDlp;
+      try {
+        ({ YtDlp, helpers: { createArgs } } = require('ytdlp-nodejs'));
+      } catch (error) {
+        logger.error('Failed to load ytdlp-nodejs', { error });
+        throw new Error('YouTube downloader library is not available');
+      }
+      ytdlp = new YtDlp({ binaryPath: ytdlpBinaryPath, ffmpegPath });
+    }
+    return ytdlp;
+  };
+
+  // The instance once its binary is known to run
+  const getReadyYtDlp = async () => {
+    const instance = getYtDlp();
+    if (!installationCheck) {
+      // checkInstallationAsync never settles when the binary can't be spawned
+      installationCheck = instance.binaryPath && fs.existsSync(instance.binaryPath)
+        ? instance.checkInstallationAsync()
+        : Promise.resolve(false);
+    }
+    if (!(await installationCheck)) {
+      // Check again on the next request, the binary may have been installed since
+      installationCheck = null;
+      logger.error('yt-dlp binary is not available. Please ensure the binary is installed during build.');
+      throw new HttpError(503, SERVICE_UNAVAILABLE_MESSAGE, 'SERVICE_UNAVAILABLE');
+    }
+    return instance;
+  };
+
+  // Same command as the library's getInfoAsync, run here so that aborting
+  // signal kills the process
+  const getInfo = async (url, options, { signal } = {}) => {
+    const instance = await getReadyYtDlp();
+    const args = ['--dump-single-json', '--quiet', ...createArgs({ flatPlaylist: true, ...options }), url];
+    const stdout = await new Promise((resolve, reject) => {
+      execFile(instance.binaryPath, args, { signal, maxBuffer: INFO_MAX_BUFFER }, (error, output, stderr) => {
+        if (!error) {
+          resolve(output);
+        } else if (error.name === 'AbortError') {
+          reject(error);
+        } else if (typeof error.code === 'number') {
+          reject(new Error(`yt-dlp exited with code ${error.code}: ${stderr}`));
+        } else {
+          reject(new Error(`Failed to start yt-dlp process: ${error.message}`));
+        }
+      });
+    });
+    return JSON.parse(stdout);
+  };
+
+  const listFormats = async (url, callbacks) => (await getInfo(url, { noPlaylist: true }, callbacks)).formats || [];
+
+  // Helper function to run yt-dlp with the given options. With a media stream
+  // (stream mode, output "-") stdout is the file itself and is piped into it
+  const run = (url, options, { onProgress, onPostprocess } = {}, media = null) => {
+    let child = null;
+    let cancelled = false;
+
+    // Post-processing (merging, transcoding, tagging) reports no percentage,
+    // so surface the step yt-dlp is in instead
+    const watchPostprocessor = (data) => {
+      const matches = [...data.toString().matchAll(POSTPROCESSOR_PATTERN)];
+      if (matches.length > 0 && onPostprocess) {
+        onPostprocess(matches[matches.length - 1][1]);
+      }
+    };
+
+    const done = getReadyYtDlp().then(instance => new Promise((resolve, reject) => {
+      if (cancelled) {
+        return reject(new Error('Download cancelled'));
+      }
+      child = instance.download(url, options);
+
+      // Messages go to stderr instead of stdout when the file is written to stdout
+      let stderr = '';
+      child.stderr.on('data', (data) => {
+        stderr += data.toString();
+        watchPostprocessor(data);
+      });
+      if (media) {
+        child.stdout.pipe(media);
+      } else {
+        child.stdout.on('data', watchPostprocessor);
+      }
+
+      child.on('progress', (progress) => {
+        if (onProgress) {
+          onProgress({
+            percent: finiteOrNull(progress.percentage),
+            downloadedBytes: finiteOrNull(progress.downloaded),
+            totalBytes: finiteOrNull(progress.total),
+            speed: finiteOrNull(progress.speed),
+            eta: finiteOrNull(progress.eta)
+          });
+        }
+      });
+
+      child.on('error', (error) => reject(new Error(`Failed to start yt-dlp process: ${error.message}`)));
+
+      child.on('close', (code) => {
+        if (cancelled) {
+          return reject(new Error('Download cancelled'));
+        }
+        if (code !== 0) {
+          const message = stderr.trim().split('\n').filter(line => line.startsWith('ERROR')).pop();
+          return reject(new Error(message || `yt-dlp exited with code ${code}`));
+        }
+        resolve();
+      });
+    }));
+
+    const cancel = () => {
+      cancelled = true;
+      if (child) {
+        child.kill('SIGTERM');
+      }
+    };
+
+    return { done, cancel };
+  };
+
+  // Download to the output template in options. Returns { done, cancel }:
+  // done settles when yt-dlp exits, cancel kills it
+  const download = (url, options, callbacks) => run(url, options, callbacks);
+
+  // Write the file to stdout instead. Returns { stream, done, cancel }
+  const stream = (url, options, callbacks) => {
+    const media = new PassThrough();
+    const { done, cancel } = run(url, { ...options, output: '-' }, callbacks, media);
+    done.catch(error => media.destroy(error));
+    return { stream: media, done, cancel };
+  };
+
+  // Versions of the binaries downloads depend on. Without a configured or
+  // bundled ffmpeg, yt-dlp uses the one on the PATH, so that is what is checked
+  const checkInstallation = async () => {
+    let instance;
+    try {
+      instance = getYtDlp();
+    } catch (error) {
+      return {
+        ytdlp: { ok: false, version: null, error: error.message },
+        ffmpeg: await readVersion(ffmpegPath || 'ffmpeg', ['-version'])
+      };
+    }
+    const [ytdlpCheck, ffmpegCheck] = await Promise.all([
+      instance.binaryPath
+        ? readVersion(instance.binaryPath, ['--version'])
+        : { ok: false, version: null, error: 'Binary not found' },
+      readVersion(instance.ffmpegPath || 'ffmpeg', ['-version'])
+    ]);
+    return { ytdlp: ytdlpCheck, ffmpeg: ffmpegCheck };
+  };
+
+  return { name: 'ytdlp', getInfo, listFormats, download, stream, checkInstallation };
+};
+
+module.exports = createYtDlpExtractor;
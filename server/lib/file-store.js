@@ -0,0 +1,143 @@
+// Finished downloads kept for a short retention window under an unguessable
+// token, so an interrupted transfer can be resumed instead of downloaded
+// again. Each file sits next to a <token>.json sidecar with its metadata, so
+// the store survives restarts
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+
+const createFileStore = ({ dir, retentionMs }) => {
+  const entries = new Map();
+  const tokensByKey = new Map();
+  let loaded = null;
+
+  const remember = (entry) => {
+    entries.set(entry.token, entry);
+    if (entry.key) {
+      tokensByKey.set(entry.key, entry.token);
+    }
+  };
+
+  const forget = (entry) => {
+    entries.delete(entry.token);
+    if (entry.key && tokensByKey.get(entry.key) === entry.token) {
+      tokensByKey.delete(entry.key);
+    }
+    return Promise.all([
+      fs.remove(entry.filePath).catch(() => {}),
+      fs.remove(path.join(dir, `${entry.token}.json`)).catch(() => {})
+    ]);
+  };
+
+  // Helper function to pick up the sidecars left by a previous process (once)
+  const load = () => {
+    if (!loaded) {
+      loaded = (async () => {
+        await fs.ensureDir(dir);
+        const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+        await Promise.all(files.map(async file => {
+          try {
+            remember(await fs.readJson(path.join(dir, file)));
+          } catch (err) {
+            // Ignore half-written sidecars, sweep() removes them eventually
+          }
+        }));
+      })();
+    }
+    return loaded;
+  };
+
+  const isLive = (entry) => entry && entry.expiresAt > Date.now() && fs.existsSync(entry.filePath);
+
+  // Move a finished download into the store. key identifies the request that
+  // produced it (same video and options) so a repeat request can reuse it
+  const add = async (sourcePath, { fileName, contentType, key }) => {
+    await load();
+    const token = crypto.randomBytes(16).toString('hex');
+    const filePath = path.join(dir, `${token}${path.extname(sourcePath)}`);
+    await fs.move(sourcePath, filePath);
+    const { size, mtimeMs } = await fs.stat(filePath);
+
+    const entry = {
+      token,
+      key,
+      filePath,
+      fileName,
+      contentType,
+      size,
+      lastModified: mtimeMs,
+      etag: `"${token}-${size.toString(16)}"`,
+      expiresAt: Date.now() + retentionMs
+    };
+    await fs.writeJson(path.join(dir, `${token}.json`), entry);
+    remember(entry);
+    return entry;
+  };
+
+  const get = async (token) => {
+    await load();
+    const entry = entries.get(token);
+    return isLive(entry) ? entry : null;
+  };
+
+  const findByKey = async (key) => {
+    await load();
+    return get(tokensByKey.get(key));
+  };
+
+  // Remove files past their retention window, and anything in the directory
+  // no entry accounts for (e.g. a move interrupted by a crash)
+  const sweep = async () => {
+    await load();
+    entries.forEach(entry => {
+      if (!isLive(entry)) {
+        forget(entry);
+      }
+    });
+    try {
+      const known = new Set();
+      entries.forEach(entry => {
+        known.add(path.basename(entry.filePath));
+        known.add(`${entry.token}.json`);
+      });
+      const files = (await fs.readdir(dir)).filter(file => !known.has(file));
+      await Promise.all(files.map(async file => {
+        const filePath = path.join(dir, file);
+        if (Date.now() - (await fs.stat(filePath)).mtimeMs > retentionMs) {
+          await fs.remove(filePath);
+        }
+      }));
+    } catch (err) {
+      // Ignore cleanup errors
+    }
+  };
+
+  // Remove retained files, soonest to expire first, until at least bytes are
+  // freed; resolves with how much went. Used when the disk budget runs out.
+  // When all of them together are not enough nothing is removed, since the
+  // download asking for the space can't start anyway
+  const evict = async (bytes) => {
+    await load();
+    const byExpiry = [...entries.values()].sort((a, b) => a.expiresAt - b.expiresAt);
+    if (byExpiry.reduce((total, entry) => total + entry.size, 0) < bytes) {
+      return 0;
+    }
+    let freed = 0;
+    for (const entry of byExpiry) {
+      if (freed >= bytes) {
+        break;
+      }
+      freed += entry.size;
+      await forget(entry);
+    }
+    return freed;
+  };
+
+  return { add, get, findByKey, sweep, evict };
+};
+
+// The store used by the routes
+const fileStore = createFileStore({ dir: config.filesDir, retentionMs: config.fileRetentionMs });
+
+module.exports = { createFileStore, fileStore };
@@ -0,0 +1,141 @@
+// Download file names, built from a template such as "{uploader} - {title}
+// [{resolution}]". The name always ends in the real extension, so a trailing
+// ".{ext}" is optional. Sanitizing keeps every script and emoji and only
+// removes what file systems or the Content-Disposition header can't take
+const config = require('./config');
+const { HttpError } = require('./errors');
+const { getSelectionResolution } = require('./download-options');
+const { logger } = require('./logger');
+
+const FILENAME_FIELDS = ['title', 'uploader', 'upload_date', 'id', 'resolution', 'clip', 'ext'];
+const DEFAULT_TEMPLATE = '{title} ({clip})';
+const MAX_TEMPLATE_LENGTH = 200;
+// Most file systems allow 255 bytes per name; leave room for the extension
+const MAX_STEM_BYTES = 200;
+
+const FIELD_PATTERN = /\{(\w+)\}/g;
+// Path separators and the characters Windows reserves
+const RESERVED_CHARACTERS = /[<>:"/\\|?*]/g;
+// Control characters, and bidi overrides that could disguise the extension
+const INVISIBLE_CHARACTERS = /[\p{Cc}\u202A-\u202E\u2066-\u2069]/gu;
+const WINDOWS_DEVICE_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// Helper function to check a template; returns an error message or null
+const validateTemplate = (template) => {
+  if (typeof template !== 'string' || !template.trim()) {
+    return 'template must not be empty';
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return `template must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+  }
+  const unknown = [...template.matchAll(FIELD_PATTERN)]
+    .map(match => match[1])
+    .filter(field => !FILENAME_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return `Unknown template field {${unknown[0]}}, expected one of ${FILENAME_FIELDS.map(field => `{${field}}`).join(', ')}`;
+  }
+  if (/[{}]/.test(template.replace(FIELD_PATTERN, ''))) {
+    return 'template has an unmatched { or }';
+  }
+  return null;
+};
+
+// FILENAME_TEMPLATE is checked once; an invalid one falls back to the default
+const configuredTemplate = (() => {
+  const error = validateTemplate(config.filenameTemplate);
+  if (error) {
+    logger.warn('Ignoring FILENAME_TEMPLATE', { reason: error });
+    return DEFAULT_TEMPLATE;
+  }
+  return config.filenameTemplate;
+})();
+
+// Helper function to pick the request's template, or the configured one when
+// none was given. Throws a 400 for an invalid template
+const resolveTemplate = (template) => {
+  if (template === undefined || template === '') {
+    return configuredTemplate;
+  }
+  const error = validateTemplate(template);
+  if (error) {
+    throw new HttpError(400, error, 'INVALID_TEMPLATE');
+  }
+  return template;
+};
+
+// Helper function to cut text to a byte budget without splitting a character
+// or an emoji sequence
+const truncateBytes = (text, maxBytes) => {
+  let result = '';
+  let bytes = 0;
+  for (const { segment } of graphemes.segment(text)) {
+    bytes += Buffer.byteLength(segment);
+    if (bytes > maxBytes) {
+      break;
+    }
+    result += segment;
+  }
+  return result;
+};
+
+// Helper function to make a file name stem safe on every common file system
+const sanitizeFileName = (name) => {
+  let clean = name
+    .normalize('NFC')
+    .replace(INVISIBLE_CHARACTERS, '')
+    .replace(RESERVED_CHARACTERS, '_')
+    // Brackets around a field that turned out empty, e.g. "({clip})"
+    .replace(/\(\s*\)|\[\s*\]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+  clean = truncateBytes(clean, MAX_STEM_BYTES).replace(/[\s.]+$/, '');
+  if (WINDOWS_DEVICE_NAMES.test(clean)) {
+    clean = `_${clean}`;
+  }
+  return clean || 'video';
+};
+
+// Helper function to collect the template fields of a video; selection is
+// the resolved download selection, if there is one
+const getFileNameFields = (info, selection) => {
+  const clip = selection && selection.clip;
+  return {
+    title: info.title || info.fulltitle || 'video',
+    uploader: info.uploader || info.channel || '',
+    upload_date: info.upload_date || '',
+    id: info.id || '',
+    resolution: selection ? getSelectionResolution(info, selection) : '',
+    clip: clip ? `clip ${Math.round(clip.start)}-${Number.isFinite(clip.end) ? Math.round(clip.end) : 'end'}` : ''
+  };
+};
+
+// Helper function to render a template into a full file name
+const renderFileName = (template, fields, ext) => {
+  const values = { ...fields, ext };
+  const stem = template
+    .replace(/\.\{ext\}$/, '')
+    .replace(FIELD_PATTERN, (_, field) => String(values[field] || ''));
+  return `${sanitizeFileName(stem)}.${ext}`;
+};
+
+// Helper function to build a Content-Disposition header with a plain ASCII
+// filename for old clients and the exact name as RFC 5987 filename*
+const contentDisposition = (fileName) => {
+  const fallback = fileName
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]+|["\\%]/g, '_');
+  const encoded = encodeURIComponent(fileName)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+module.exports = {
+  contentDisposition,
+  getFileNameFields,
+  renderFileName,
+  resolveTemplate,
+  sanitizeFileName
+};
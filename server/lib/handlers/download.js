@@ -0,0 +1,162 @@
+// GET /api/download?url=&format=&template=... - pipes the extractor's output straight
+// to the client when possible, otherwise downloads to a temp file and serves
+// it from the file store, where it stays for resuming (Range requests)
+const crypto = require('crypto');
+const path = require('path');
+const { once } = require('events');
+const config = require('../config');
+const { route } = require('../http');
+const { limitRequest } = require('../rate-limit');
+const { recordBytes, recordResponseBytes, reserveDownloads } = require('../quotas');
+const { HttpError } = require('../errors');
+const { getVideoInfo, download, stream } = require('../extractors');
+const { requireVideoURL } = require('../youtube-url');
+const { storage } = require('../storage');
+const { fileStore } = require('../file-store');
+const { sendRangedFile } = require('../ranges');
+const { contentDisposition, getFileNameFields, renderFileName, resolveTemplate } = require('../filenames');
+const {
+  CONTENT_TYPES,
+  resolveDownloadRequest,
+  getSelectionDuration,
+  estimateSelectionBytes,
+  buildDownloadOptions,
+  planStreamDownload,
+  findDownloadedFile
+} = require('../download-options');
+
+// Helper function to cancel the download if the client goes away before the
+// response is complete. Returns a function telling whether that happened
+const cancelOnAbort = (res, cancel) => {
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      aborted = true;
+      cancel();
+    }
+  });
+  return () => aborted;
+};
+
+// Helper function to pipe the file while it is being downloaded. Headers wait
+// for the first byte so a failure before that can still be a JSON error
+const streamDownload = async (req, res, { url, plan, toFileName }) => {
+  const media = stream(url, plan.options);
+  // Failures are handled through media.done
+  media.stream.on('error', () => {});
+  const wasAborted = cancelOnAbort(res, media.cancel);
+
+  try {
+    await once(media.stream, 'readable');
+  } catch (streamError) {
+    if (wasAborted()) {
+      return;
+    }
+    throw streamError;
+  }
+
+  res.setHeader('Content-Disposition', contentDisposition(toFileName(plan.ext)));
+  res.setHeader('Content-Type', CONTENT_TYPES[plan.ext] || 'application/octet-stream');
+  res.setHeader('X-Download-Mode', 'stream');
+  media.stream.on('data', chunk => recordBytes(req, chunk.length));
+  media.stream.pipe(res);
+
+  // Too late for an error response, cut the connection so the client sees
+  // an incomplete download rather than a truncated "successful" file. The
+  // failure itself is in the download's log summary
+  media.done.catch(() => {
+    if (!wasAborted()) {
+      res.destroy();
+    }
+  });
+};
+
+// Helper function to serve a stored file, pointing at its stable token URL.
+// fileName overrides the stored name, since a retained copy may have been
+// saved under another template
+const sendStoredFile = (req, res, entry, mode, fileName) => {
+  res.setHeader('X-Download-Mode', mode);
+  res.setHeader('X-Download-Token', entry.token);
+  res.setHeader('Content-Location', `/api/files/${entry.token}`);
+  recordResponseBytes(req, res);
+  sendRangedFile(req, res, { ...entry, fileName: fileName || entry.fileName });
+};
+
+// Helper function to download into a work directory first, for selections
+// that need post-processing on a seekable file and for resumed (Range) requests
+const stagedDownload = async (req, res, { url, info, selection, toFileName, requestKey }) => {
+  const workspace = await storage.acquire({ estimateBytes: estimateSelectionBytes(info, selection) });
+  let entry;
+  try {
+    const downloadOptions = buildDownloadOptions(selection, path.join(workspace.dir, 'media.%(ext)s'));
+    const { done, cancel } = download(url, downloadOptions);
+    const wasAborted = cancelOnAbort(res, cancel);
+    try {
+      await done;
+    } catch (downloadError) {
+      if (wasAborted()) {
+        return;
+      }
+      throw downloadError;
+    }
+
+    // Extension depends on the selected streams and audio format
+    const downloadedFile = findDownloadedFile(workspace.dir, 'media', selection.audio && selection.audio.format);
+    if (!downloadedFile) {
+      throw new Error('Downloaded file not found');
+    }
+    const fileExt = path.extname(downloadedFile).slice(1);
+    entry = await fileStore.add(path.join(workspace.dir, downloadedFile), {
+      fileName: toFileName(fileExt),
+      contentType: CONTENT_TYPES[fileExt],
+      key: requestKey
+    });
+  } finally {
+    await workspace.release();
+  }
+  sendStoredFile(req, res, entry, 'staged');
+};
+
+module.exports = route('Error downloading video', 'Failed to download video', async (req, res) => {
+  limitRequest(req, res, 'download');
+  const {
+    url, format = 'mp4', formatId, audioFormatId, audioBitrate, start, end, precise, subtitles, template, callbackUrl
+  } = req.query;
+  // The file is the response here, there is nothing to call back about
+  if (callbackUrl !== undefined) {
+    throw new HttpError(400, 'callbackUrl is only supported on POST /api/jobs and /api/jobs/batch', 'CALLBACK_NOT_SUPPORTED');
+  }
+  const link = requireVideoURL(url);
+  const fileTemplate = resolveTemplate(template);
+
+  // Video info (usually cached by the earlier info/formats calls) gives the
+  // title and validates the requested formats
+  const { info, cacheStatus } = await getVideoInfo(link.canonicalUrl);
+  res.setHeader('X-Cache', cacheStatus);
+  const { selection, error } = resolveDownloadRequest(info, {
+    format, formatId, audioFormatId, audioBitrate, start, end, precise, subtitles
+  });
+  if (error) {
+    throw new HttpError(400, error, 'INVALID_REQUEST');
+  }
+
+  // The same video with the same options is the same file: serve a retained
+  // copy if there is one, which is what makes resuming this URL work. That
+  // isn't a new download, so it doesn't count against the daily quota
+  const requestKey = crypto.createHash('sha1').update(JSON.stringify({ id: info.id, selection })).digest('hex');
+  const fields = getFileNameFields(info, selection);
+  const toFileName = (ext) => renderFileName(fileTemplate, fields, ext);
+  const stored = await fileStore.findByKey(requestKey);
+  if (stored) {
+    return sendStoredFile(req, res, stored, 'stored', toFileName(path.extname(stored.fileName).slice(1)));
+  }
+  reserveDownloads(req, { durationSeconds: getSelectionDuration(info, selection) });
+
+  // A streamed response has no length to take a range of
+  const plan = config.streamDownloads && !req.headers.range ? planStreamDownload(info, selection) : null;
+  if (plan) {
+    await streamDownload(req, res, { url: link.canonicalUrl, plan, toFileName });
+  } else {
+    await stagedDownload(req, res, { url: link.canonicalUrl, info, selection, toFileName, requestKey });
+  }
+});
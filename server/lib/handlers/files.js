@@ -0,0 +1,17 @@
+// GET /api/files/:token - a retained download, with Range support for resuming
+const { route } = require('../http');
+const { HttpError } = require('../errors');
+const { fileStore } = require('../file-store');
+const { sendRangedFile } = require('../ranges');
+const { recordResponseBytes } = require('../quotas');
+
+module.exports = route('Error sending stored file', 'Failed to send file', async (req, res) => {
+  // Express passes the token as a path parameter, the Vercel route as a query
+  const token = (req.params && req.params.token) || req.query.token;
+  const entry = /^[a-f0-9]{32}$/.test(token || '') ? await fileStore.get(token) : null;
+  if (!entry) {
+    throw new HttpError(404, 'File not found or expired', 'FILE_NOT_FOUND');
+  }
+  recordResponseBytes(req, res);
+  sendRangedFile(req, res, entry);
+});
@@ -0,0 +1,17 @@
+// GET /api/formats?url= - every stream yt-dlp reports for a video
+const { route } = require('../http');
+const { limitRequest } = require('../rate-limit');
+const { getVideoInfo } = require('../extractors');
+const { requireVideoURL } = require('../youtube-url');
+const { toFormatList } = require('../summaries');
+
+module.exports = route('Error getting formats', 'Failed to get video formats', async (req, res) => {
+  limitRequest(req, res, 'info');
+  const { url } = req.query;
+  const link = requireVideoURL(url);
+
+  const { info, cacheStatus } = await getVideoInfo(link.canonicalUrl);
+  res.setHeader('X-Cache', cacheStatus);
+
+  res.json(toFormatList(info));
+});
@@ -0,0 +1,84 @@
+// GET /api/health and /api/health/live - the process is up and answering.
+// GET /api/health/ready - it can also download: yt-dlp and ffmpeg run, and
+// the downloads directory is writable with space to spare. Answers 503 when
+// not ready so a load balancer stops sending it traffic
+const { promises: { statfs } } = require('fs');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const { route } = require('../http');
+const { getExtractor, processSlots } = require('../extractors');
+const { storage } = require('../storage');
+
+// Running the binaries takes a moment, so their result is reused this long
+const BINARY_CHECK_TTL_MS = 60 * 1000;
+
+let binaryCheck = null;
+let binaryCheckedAt = 0;
+
+// Helper function to get { ytdlp, ffmpeg } from the extractor, reusing a recent result
+const checkBinaries = () => {
+  if (!binaryCheck || Date.now() - binaryCheckedAt > BINARY_CHECK_TTL_MS) {
+    binaryCheckedAt = Date.now();
+    binaryCheck = Promise.resolve()
+      .then(() => getExtractor().checkInstallation())
+      .catch((error) => {
+        const failed = { ok: false, version: null, error: error.message };
+        return { ytdlp: failed, ffmpeg: failed };
+      });
+  }
+  return binaryCheck;
+};
+
+// Helper function to check the downloads directory takes a file and has at
+// least MIN_FREE_BYTES free
+const checkDownloadsDir = async () => {
+  const probe = path.join(config.downloadsDir, `.ready-${process.pid}`);
+  try {
+    await fs.ensureDir(config.downloadsDir);
+    await fs.writeFile(probe, '');
+    await fs.remove(probe);
+  } catch (error) {
+    return { ok: false, writable: false, freeBytes: null, minFreeBytes: config.minFreeBytes, error: error.code || error.message };
+  }
+  const { bavail, bsize } = await statfs(config.downloadsDir);
+  const freeBytes = bavail * bsize;
+  return {
+    ok: freeBytes >= config.minFreeBytes,
+    writable: true,
+    freeBytes,
+    minFreeBytes: config.minFreeBytes,
+    error: freeBytes >= config.minFreeBytes ? null : 'Not enough free disk space'
+  };
+};
+
+// jobQueue is null where background jobs don't run (serverless functions)
+const createHealthHandlers = (jobQueue) => {
+  const live = route('Error checking health', 'Health check failed', async (req, res) => {
+    res.json({
+      status: 'OK',
+      message: 'YouTube Downloader API is running'
+    });
+  });
+
+  const ready = route('Error checking readiness', 'Readiness check failed', async (req, res) => {
+    const [binaries, downloadsDir, storageStats] = await Promise.all([
+      checkBinaries(),
+      checkDownloadsDir(),
+      storage.stats()
+    ]);
+    const checks = { ytdlp: binaries.ytdlp, ffmpeg: binaries.ffmpeg, downloadsDir };
+    const isReady = Object.values(checks).every(check => check.ok);
+    res.status(isReady ? 200 : 503).json({
+      status: isReady ? 'READY' : 'NOT_READY',
+      checks,
+      storage: storageStats,
+      processes: processSlots.stats(),
+      jobs: jobQueue ? jobQueue.stats() : null
+    });
+  });
+
+  return { live, ready };
+};
+
+module.exports = createHealthHandlers;
@@ -0,0 +1,14 @@
+// Route handlers shared by server/server.js and the api/*.js serverless functions
+module.exports = {
+  createHealthHandlers: require('./health'),
+  createMetricsHandler: require('./metrics'),
+  videoInfo: require('./video-info'),
+  playlistInfo: require('./playlist-info'),
+  formats: require('./formats'),
+  subtitles: require('./subtitles'),
+  download: require('./download'),
+  files: require('./files'),
+  usage: require('./usage'),
+  createJobHandlers: require('./jobs'),
+  createSubscriptionHandlers: require('./subscriptions')
+};
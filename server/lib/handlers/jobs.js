@@ -0,0 +1,277 @@
+// /api/jobs routes - background downloads that outlive the request. They need
+// a long-running process, so only the Express server mounts them
+const path = require('path');
+const archiver = require('archiver');
+const { route } = require('../http');
+const { logger } = require('../logger');
+const { webhooks } = require('../webhooks');
+const { limitRequest } = require('../rate-limit');
+const { recordBytes, reserveDownloads } = require('../quotas');
+const { HttpError } = require('../errors');
+const { getVideoInfo } = require('../extractors');
+const { requireVideoURL, requireCollectionURL } = require('../youtube-url');
+const { getPlaylist } = require('../playlist');
+const { sendRangedFile } = require('../ranges');
+const { contentDisposition, getFileNameFields, renderFileName, resolveTemplate } = require('../filenames');
+const {
+  CONTENT_TYPES,
+  resolveDownloadFormat,
+  resolveDownloadRequest,
+  getSelectionDuration,
+  estimateSelectionBytes
+} = require('../download-options');
+
+const createJobHandlers = (jobQueue) => {
+  // Helper function to look up the job named in the path or throw a 404
+  const findJob = (req) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+      throw new HttpError(404, 'Job not found', 'JOB_NOT_FOUND');
+    }
+    return job;
+  };
+
+  // Helper function to read the comma-separated ids query parameter
+  const readIds = (req) => String(req.query.ids || '').split(',').filter(Boolean);
+
+  // Helper function to count a job's file against the caller once it completes
+  const recordJobBytes = (req, job) => {
+    const unsubscribe = jobQueue.subscribe((updated) => {
+      if (updated.id !== job.id || !jobQueue.isFinished(updated)) {
+        return;
+      }
+      unsubscribe();
+      if (updated.state === 'completed') {
+        recordBytes(req, updated.fileSize);
+      }
+    });
+  };
+
+  // Helper function to POST a job's outcome to the callbackUrl it was created
+  // with (see webhooks.js) once it completes or fails. duration is the length
+  // of the media in seconds, elapsedMs how long the job ran
+  const sendCallback = (job, callbackUrl, duration) => {
+    const unsubscribe = jobQueue.subscribe((updated) => {
+      if (updated.id !== job.id || !jobQueue.isFinished(updated)) {
+        return;
+      }
+      unsubscribe();
+      if (updated.state === 'cancelled') {
+        return;
+      }
+      webhooks.deliver(callbackUrl, `download.${updated.state}`, {
+        jobId: updated.id,
+        url: updated.url,
+        title: updated.title,
+        format: updated.format,
+        state: updated.state,
+        fileName: updated.fileName,
+        fileSize: updated.fileSize,
+        // The job id is the file's token until the job expires
+        fileUrl: updated.state === 'completed' ? `/api/jobs/${updated.id}/file` : null,
+        duration: Number.isFinite(duration) ? duration : null,
+        elapsedMs: updated.startedAt ? updated.finishedAt - updated.startedAt : null,
+        error: updated.error,
+        errorCode: updated.errorCode
+      });
+    });
+  };
+
+  // POST /api/jobs - queue one download; with callbackUrl, its outcome is
+  // also POSTed there
+  const create = route('Error creating download job', 'Failed to create download job', async (req, res) => {
+    limitRequest(req, res, 'download');
+    const {
+      url, format = 'mp4', formatId, audioFormatId, audioBitrate, start, end, precise, subtitles, template, callbackUrl
+    } = req.body || {};
+    const link = requireVideoURL(url);
+    const fileTemplate = resolveTemplate(template);
+    const callback = callbackUrl ? await webhooks.validateCallbackUrl(callbackUrl) : null;
+
+    const { info, cacheStatus } = await getVideoInfo(link.canonicalUrl);
+    res.setHeader('X-Cache', cacheStatus);
+    const { selection, error } = resolveDownloadRequest(info, {
+      format, formatId, audioFormatId, audioBitrate, start, end, precise, subtitles
+    });
+    if (error) {
+      throw new HttpError(400, error, 'INVALID_REQUEST');
+    }
+    reserveDownloads(req, { durationSeconds: getSelectionDuration(info, selection) });
+
+    const job = jobQueue.create({
+      url: link.canonicalUrl,
+      format,
+      title: info.title || info.fulltitle || 'Unknown Title',
+      toFileName: ext => renderFileName(fileTemplate, getFileNameFields(info, selection), ext),
+      selection,
+      estimateBytes: estimateSelectionBytes(info, selection)
+    });
+    recordJobBytes(req, job);
+    if (callback) {
+      sendCallback(job, callback, getSelectionDuration(info, selection));
+    }
+
+    res.status(202).json(jobQueue.toJSON(job));
+  });
+
+  // POST /api/jobs/batch - one job per selected playlist/channel entry, each
+  // with its own callback when callbackUrl is given
+  const createBatch = route('Error creating batch download', 'Failed to create batch download', async (req, res) => {
+    limitRequest(req, res, 'download');
+    const { url, ids, format = 'mp4', audioBitrate, template, callbackUrl } = req.body || {};
+    const link = requireCollectionURL(url);
+    const fileTemplate = resolveTemplate(template);
+    const callback = callbackUrl ? await webhooks.validateCallbackUrl(callbackUrl) : null;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new HttpError(400, 'Select at least one video', 'INVALID_REQUEST');
+    }
+
+    // Per-video format_ids differ between entries, so batches pick by format only
+    const selection = resolveDownloadFormat({}, { format, audioBitrate });
+    if (selection.error) {
+      throw new HttpError(400, selection.error, 'INVALID_REQUEST');
+    }
+
+    // Only entries that really belong to the playlist can be queued
+    const { info, entries } = await getPlaylist(link.canonicalUrl);
+    const selected = entries.filter(entry => ids.includes(entry.id));
+    if (selected.length === 0) {
+      throw new HttpError(400, 'None of the selected videos are in this playlist', 'INVALID_REQUEST');
+    }
+    reserveDownloads(req, {
+      count: selected.length,
+      durationSeconds: Math.max(...selected.map(entry => entry.duration || 0))
+    });
+
+    const jobs = selected.map(entry => jobQueue.create({
+      url: entry.url,
+      format,
+      title: entry.title,
+      // Flat entries often leave out the uploader; it's the playlist's own
+      toFileName: ext => renderFileName(fileTemplate, getFileNameFields({
+        ...entry,
+        uploader: entry.uploader || info.uploader || info.channel
+      }, selection), ext),
+      selection
+    }));
+    jobs.forEach(job => recordJobBytes(req, job));
+    if (callback) {
+      jobs.forEach((job, i) => sendCallback(job, callback, selected[i].duration));
+    }
+
+    res.status(202).json({ jobs: jobs.map(jobQueue.toJSON) });
+  });
+
+  // GET /api/jobs?ids=a,b,c - the state of several jobs at once
+  const list = (req, res) => {
+    const jobs = readIds(req).map(id => jobQueue.get(id)).filter(Boolean);
+    res.json(jobs.map(jobQueue.toJSON));
+  };
+
+  // GET /api/jobs/zip?ids=a,b,c - the files of the completed jobs among ids as
+  // one ZIP. Media is already compressed, so entries are stored as-is
+  const zip = route('Error creating ZIP', 'Failed to create ZIP', (req, res) => {
+    const jobs = readIds(req).map(id => jobQueue.get(id)).filter(job => job && job.state === 'completed');
+    if (jobs.length === 0) {
+      throw new HttpError(409, 'None of these downloads have finished', 'JOB_NOT_FINISHED');
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', contentDisposition('youtube-downloads.zip'));
+
+    const archive = archiver('zip', { store: true });
+    archive.on('error', (error) => {
+      logger.error('Error creating ZIP', { error });
+      res.destroy();
+    });
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        archive.abort();
+      }
+    });
+    archive.pipe(res);
+
+    // Two jobs for the same video would otherwise overwrite each other
+    const names = new Set();
+    jobs.forEach(job => {
+      const ext = path.extname(job.fileName);
+      const base = path.basename(job.fileName, ext);
+      let name = job.fileName;
+      for (let n = 2; names.has(name); n++) {
+        name = `${base} (${n})${ext}`;
+      }
+      names.add(name);
+      archive.file(job.filePath, { name });
+    });
+    archive.finalize();
+  });
+
+  // GET /api/jobs/:id - job state and progress
+  const get = route('Error getting job', 'Failed to get job', (req, res) => {
+    res.json(jobQueue.toJSON(findJob(req)));
+  });
+
+  // GET /api/jobs/:id/events - progress as Server-Sent Events until the job finishes
+  const events = route('Error streaming job events', 'Failed to stream job events', (req, res) => {
+    const job = findJob(req);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    const send = (updated) => {
+      res.write(`data: ${JSON.stringify(jobQueue.toJSON(updated))}\n\n`);
+      if (jobQueue.isFinished(updated)) {
+        close();
+      }
+    };
+
+    unsubscribe = jobQueue.subscribe((updated) => {
+      if (updated.id === job.id) {
+        send(updated);
+      }
+    });
+    req.on('close', close);
+
+    // Current state first so late subscribers don't wait for the next tick
+    send(job);
+  });
+
+  // GET /api/jobs/:id/file - the file of a completed job
+  const file = route('Error streaming job file', 'Failed to stream file', (req, res) => {
+    const job = findJob(req);
+    if (job.state !== 'completed') {
+      throw new HttpError(409, `Job is ${job.state}`, 'JOB_NOT_FINISHED');
+    }
+
+    sendRangedFile(req, res, {
+      filePath: job.filePath,
+      fileName: job.fileName,
+      contentType: CONTENT_TYPES[job.ext],
+      size: job.fileSize,
+      etag: `"${job.id}-${job.fileSize.toString(16)}"`,
+      lastModified: job.finishedAt
+    });
+  });
+
+  // DELETE /api/jobs/:id - cancel a job (kills yt-dlp if it is running) or delete a finished one
+  const cancel = route('Error cancelling job', 'Failed to cancel job', (req, res) => {
+    res.json(jobQueue.toJSON(jobQueue.cancel(findJob(req))));
+  });
+
+  return { create, createBatch, list, zip, get, events, file, cancel };
+};
+
+module.exports = createJobHandlers;
@@ -0,0 +1,33 @@
+// GET /api/metrics - Prometheus text format. The counters are kept by
+// metrics.js as requests go by; the gauges here are read at scrape time
+const { route } = require('../http');
+const { registry } = require('../metrics');
+const { processSlots } = require('../extractors');
+const { storage } = require('../storage');
+
+const createMetricsHandler = (jobQueue) => {
+  // The storage gauges share one walk of the downloads directory per scrape
+  let storageStats = null;
+  const readStorage = (field) => async () => (await storageStats)[field];
+
+  registry.gauge('jobs', 'Background download jobs, by state', () => {
+    const { queued, running } = jobQueue.stats();
+    return [
+      { labels: { state: 'queued' }, value: queued },
+      { labels: { state: 'running' }, value: running }
+    ];
+  });
+  registry.gauge('process_slots_active', 'Extractor processes running', () => processSlots.stats().active);
+  registry.gauge('process_slots_waiting', 'Requests waiting for an extractor process', () => processSlots.stats().waiting);
+  registry.gauge('storage_used_bytes', 'Bytes on disk in the downloads directory', readStorage('usedBytes'));
+  registry.gauge('storage_reserved_bytes', 'Bytes reserved by running downloads but not written yet', readStorage('reservedBytes'));
+  registry.gauge('storage_budget_bytes', 'Disk budget for downloads, absent when unlimited', readStorage('budgetBytes'));
+
+  return route('Error collecting metrics', 'Failed to collect metrics', async (req, res) => {
+    storageStats = storage.stats();
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await registry.render());
+  });
+};
+
+module.exports = createMetricsHandler;
@@ -0,0 +1,16 @@
+// GET /api/playlist-info?url= - the entry list of a playlist or channel
+const { route } = require('../http');
+const { limitRequest } = require('../rate-limit');
+const { requireCollectionURL } = require('../youtube-url');
+const { getPlaylist } = require('../playlist');
+const { toPlaylistSummary } = require('../summaries');
+
+module.exports = route('Error getting playlist info', 'Failed to get playlist information', async (req, res) => {
+  limitRequest(req, res, 'info');
+  const { url } = req.query;
+  const link = requireCollectionURL(url);
+
+  const { info, entries } = await getPlaylist(link.canonicalUrl);
+
+  res.json(toPlaylistSummary(info, entries));
+});
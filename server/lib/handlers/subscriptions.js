@@ -0,0 +1,138 @@
+// /api/subscriptions routes - channels and playlists whose new uploads the
+// server downloads on a schedule (see subscriptions.js). Like jobs they need
+// a long-running process, so only the Express server mounts them
+const { route } = require('../http');
+const { requireApiKey } = require('../api-keys');
+const { limitRequest } = require('../rate-limit');
+const { subscriptionsEnabled } = require('../subscriptions');
+const { HttpError } = require('../errors');
+const { requireCollectionURL } = require('../youtube-url');
+const { getPlaylist } = require('../playlist');
+const { resolveTemplate } = require('../filenames');
+const { resolveDownloadFormat } = require('../download-options');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const MIN_INTERVAL_MINUTES = 15;
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+
+// Helper function to check the preset and schedule fields of a request body
+// against the current settings; returns the ones that were given
+const readSettings = (body, current) => {
+  const settings = {};
+  if (body.format !== undefined || body.audioBitrate !== undefined) {
+    const format = body.format || current.format;
+    let audioBitrate = format === 'mp3' ? current.audioBitrate : null;
+    if (body.audioBitrate !== undefined) {
+      audioBitrate = body.audioBitrate ? String(body.audioBitrate) : null;
+    }
+    const selection = resolveDownloadFormat({}, { format, audioBitrate });
+    if (selection.error) {
+      throw new HttpError(400, selection.error, 'INVALID_REQUEST');
+    }
+    settings.format = format;
+    settings.audioBitrate = audioBitrate;
+  }
+  if (body.template !== undefined) {
+    // Checked now, rendered with the configured default when left empty
+    settings.template = body.template ? resolveTemplate(body.template) : null;
+  }
+  if (body.intervalMinutes !== undefined) {
+    const minutes = Number(body.intervalMinutes);
+    if (!Number.isInteger(minutes) || minutes < MIN_INTERVAL_MINUTES || minutes > MAX_INTERVAL_MINUTES) {
+      throw new HttpError(400, `intervalMinutes must be a whole number from ${MIN_INTERVAL_MINUTES} to ${MAX_INTERVAL_MINUTES}`, 'INVALID_REQUEST');
+    }
+    settings.intervalMinutes = minutes;
+  }
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      throw new HttpError(400, 'enabled must be true or false', 'INVALID_REQUEST');
+    }
+    settings.enabled = body.enabled;
+  }
+  return settings;
+};
+
+// Helper function to refuse callers while subscriptions are off, and
+// anonymous callers once API keys are configured
+const requireAccess = (req) => {
+  if (!subscriptionsEnabled()) {
+    throw new HttpError(403, 'Subscriptions are not enabled on this server', 'SUBSCRIPTIONS_DISABLED');
+  }
+  requireApiKey(req);
+};
+
+const createSubscriptionHandlers = (subscriptions) => {
+  // Helper function to look up the subscription named in the path or throw a 404
+  const findSubscription = async (req) => {
+    const subscription = await subscriptions.get(req.params.id);
+    if (!subscription) {
+      throw new HttpError(404, 'Subscription not found', 'SUBSCRIPTION_NOT_FOUND');
+    }
+    return subscription;
+  };
+
+  // GET /api/subscriptions
+  const list = route('Error listing subscriptions', 'Failed to list subscriptions', async (req, res) => {
+    requireAccess(req);
+    res.json((await subscriptions.list()).map(subscriptions.toJSON));
+  });
+
+  // POST /api/subscriptions - subscribe to a channel or playlist. Its current
+  // videos count as already downloaded unless backfill is true
+  const create = route('Error creating subscription', 'Failed to create subscription', async (req, res) => {
+    requireAccess(req);
+    limitRequest(req, res, 'download');
+    const body = req.body || {};
+    const link = requireCollectionURL(body.url);
+    const defaults = { format: 'mp4', audioBitrate: null, template: null, intervalMinutes: DEFAULT_INTERVAL_MINUTES };
+    const settings = { ...defaults, ...readSettings(body, defaults) };
+
+    // Also proves the collection exists before anything is scheduled
+    const { info, entries } = await getPlaylist(link.canonicalUrl);
+    const subscription = await subscriptions.add({
+      url: link.canonicalUrl,
+      title: info.title || info.channel || info.uploader || link.canonicalUrl,
+      uploader: info.uploader || info.channel || null,
+      ...settings,
+      backfill: body.backfill === true,
+      entries
+    });
+    res.status(201).json(subscriptions.toJSON(subscription));
+  });
+
+  // GET /api/subscriptions/:id
+  const get = route('Error getting subscription', 'Failed to get subscription', async (req, res) => {
+    requireAccess(req);
+    res.json(subscriptions.toJSON(await findSubscription(req)));
+  });
+
+  // PATCH /api/subscriptions/:id - change the format preset, template,
+  // interval, or pause and resume with enabled
+  const update = route('Error updating subscription', 'Failed to update subscription', async (req, res) => {
+    requireAccess(req);
+    const subscription = await findSubscription(req);
+    const settings = readSettings(req.body || {}, subscription);
+    res.json(subscriptions.toJSON(await subscriptions.update(subscription, settings)));
+  });
+
+  // DELETE /api/subscriptions/:id - stop following; downloaded files are kept
+  const remove = route('Error deleting subscription', 'Failed to delete subscription', async (req, res) => {
+    requireAccess(req);
+    await subscriptions.remove(await findSubscription(req));
+    res.status(204).end();
+  });
+
+  // POST /api/subscriptions/:id/check - look for new videos now instead of
+  // waiting for the schedule
+  const check = route('Error checking subscription', 'Failed to check subscription', async (req, res) => {
+    requireAccess(req);
+    limitRequest(req, res, 'download');
+    const subscription = await findSubscription(req);
+    subscriptions.check(subscription);
+    res.status(202).json(subscriptions.toJSON(subscription));
+  });
+
+  return { list, create, get, update, remove, check };
+};
+
+module.exports = createSubscriptionHandlers;
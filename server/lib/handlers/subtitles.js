@@ -0,0 +1,66 @@
+// GET /api/subtitles?url=&lang=&format=srt|vtt|txt&auto=&template= - one caption track
+const fs = require('fs-extra');
+const path = require('path');
+const { route } = require('../http');
+const { limitRequest } = require('../rate-limit');
+const { HttpError } = require('../errors');
+const { getVideoInfo, download } = require('../extractors');
+const { requireVideoURL } = require('../youtube-url');
+const { storage } = require('../storage');
+const { contentDisposition, getFileNameFields, renderFileName, resolveTemplate } = require('../filenames');
+const { CAPTION_FORMATS, findCaptionTrack, vttToSrt, vttToText } = require('../captions');
+
+// Disk space reserved for fetching one caption track
+const CAPTION_ESTIMATE_BYTES = 1024 * 1024;
+
+module.exports = route('Error downloading captions', 'Failed to download captions', async (req, res) => {
+  limitRequest(req, res, 'info');
+  const { url, lang, format = 'srt', auto, template } = req.query;
+  const link = requireVideoURL(url);
+  const fileTemplate = resolveTemplate(template);
+
+  if (!lang) {
+    throw new HttpError(400, 'Caption language is required', 'INVALID_REQUEST');
+  }
+  if (!CAPTION_FORMATS[format]) {
+    throw new HttpError(400, `format must be one of ${Object.keys(CAPTION_FORMATS).join(', ')}`, 'INVALID_REQUEST');
+  }
+
+  const { info, cacheStatus } = await getVideoInfo(link.canonicalUrl);
+  res.setHeader('X-Cache', cacheStatus);
+  const track = findCaptionTrack(info, lang, auto === '1' || auto === 'true');
+  if (!track) {
+    throw new HttpError(404, `No captions available for language: ${lang}`, 'CAPTIONS_NOT_FOUND');
+  }
+
+  // yt-dlp fetches the track as WebVTT, the conversions happen here
+  const vtt = await storage.run(async (workspace) => {
+    await download(link.canonicalUrl, {
+      output: path.join(workspace.dir, 'captions.%(ext)s'),
+      skipDownload: true,
+      noPlaylist: true,
+      writeSubs: !track.auto,
+      writeAutoSubs: track.auto,
+      subLangs: [lang],
+      subFormat: 'vtt'
+    }).done;
+
+    const subtitlePath = path.join(workspace.dir, `captions.${lang}.vtt`);
+    if (!fs.existsSync(subtitlePath)) {
+      throw new Error('Caption track could not be downloaded');
+    }
+    return fs.readFile(subtitlePath, 'utf8');
+  }, { estimateBytes: CAPTION_ESTIMATE_BYTES });
+
+  let body = vtt;
+  if (format === 'srt') {
+    body = vttToSrt(vtt);
+  } else if (format === 'txt') {
+    body = vttToText(vtt);
+  }
+
+  const fileName = renderFileName(fileTemplate, getFileNameFields(info), `${lang}.${format}`);
+  res.setHeader('Content-Disposition', contentDisposition(fileName));
+  res.setHeader('Content-Type', CAPTION_FORMATS[format]);
+  res.send(body);
+});
@@ -0,0 +1,7 @@
+// GET /api/usage - the caller's quotas and today's consumption
+const { route } = require('../http');
+const { describeUsage } = require('../quotas');
+
+module.exports = route('Error getting usage', 'Failed to get usage', (req, res) => {
+  res.json(describeUsage(req));
+});
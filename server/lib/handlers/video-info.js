@@ -0,0 +1,17 @@
+// GET /api/video-info?url= - title, thumbnail, duration, formats and captions
+const { route } = require('../http');
+const { limitRequest } = require('../rate-limit');
+const { getVideoInfo } = require('../extractors');
+const { requireVideoURL } = require('../youtube-url');
+const { toVideoSummary } = require('../summaries');
+
+module.exports = route('Error getting video info', 'Failed to get video information', async (req, res) => {
+  limitRequest(req, res, 'info');
+  const { url } = req.query;
+  const link = requireVideoURL(url);
+
+  const { info, cacheStatus } = await getVideoInfo(link.canonicalUrl);
+  res.setHeader('X-Cache', cacheStatus);
+
+  res.json(toVideoSummary(info, link));
+});
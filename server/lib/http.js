@@ -0,0 +1,141 @@
+// Request plumbing shared by the Express app and the serverless functions
+const crypto = require('crypto');
+const config = require('./config');
+const { toErrorResponse } = require('./errors');
+const { authenticate } = require('./api-keys');
+const { logger, runWithLogContext } = require('./logger');
+
+// A request id a client or proxy sent along is kept if it looks like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+// Helper function to set CORS headers for the origins in CORS_ORIGINS; returns
+// true when the request was a preflight and has already been answered
+const applyCors = (req, res) => {
+  const origin = req.headers.origin;
+  if (config.corsOrigins.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else {
+    res.setHeader('Vary', 'Origin');
+    if (origin && config.corsOrigins.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, X-Request-Id');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, X-Request-Id');
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).end();
+    return true;
+  }
+  return false;
+};
+
+// Express middleware version of applyCors
+const cors = (req, res, next) => {
+  if (!applyCors(req, res)) {
+    next();
+  }
+};
+
+// Helper function to give the request an id, echoed in X-Request-Id, and log
+// one line for it once the response is over. Returns the id
+const startRequest = (req, res) => {
+  const sent = req.headers['x-request-id'];
+  const requestId = sent && REQUEST_ID_PATTERN.test(sent) ? sent : crypto.randomUUID();
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  const startedAt = Date.now();
+  let logged = false;
+  const logRequest = () => {
+    if (logged) {
+      return;
+    }
+    logged = true;
+    // Only the path: the query can hold an API key
+    logger.info('Request finished', {
+      requestId,
+      method: req.method,
+      path: (req.originalUrl || req.url).split('?')[0],
+      status: res.statusCode,
+      code: res.errorCode,
+      aborted: !res.writableFinished || undefined,
+      durationMs: Date.now() - startedAt
+    });
+  };
+  res.on('finish', logRequest);
+  res.on('close', logRequest);
+  return requestId;
+};
+
+// Express middleware that runs the rest of the request in its log context
+// (see logger.js). Goes after the body parser, which loses the context
+const requestContext = (req, res, next) => {
+  runWithLogContext({ requestId: startRequest(req, res) }, next);
+};
+
+// Helper function to answer with a thrown error as JSON. label is used for the
+// server log, fallbackMessage when the error has no message of its own
+const sendError = (res, error, label, fallbackMessage) => {
+  const { status, body } = toErrorResponse(error, fallbackMessage);
+  // Picked up by the request log and metrics (see metrics.js)
+  res.errorCode = body.code;
+  // Bad requests are the client's problem, not worth a stack trace
+  if (status >= 500) {
+    logger.error(label, { error });
+  }
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  if (body.retryAfter) {
+    res.setHeader('Retry-After', body.retryAfter);
+  }
+  res.status(status).json(body);
+};
+
+// Express middleware that sets req.apiKey from the request (see api-keys.js)
+const auth = (req, res, next) => {
+  try {
+    authenticate(req);
+  } catch (error) {
+    sendError(res, error, 'Error checking API key', 'Failed to check API key');
+    return;
+  }
+  next();
+};
+
+// Wrap an async route handler so anything it throws becomes a JSON error response
+const route = (label, fallbackMessage, handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    sendError(res, error, label, fallbackMessage);
+  }
+};
+
+// Turn a route handler into a Vercel function: request id, CORS, method
+// check, API key, then the handler
+const serverless = (handler, methods = ['GET']) => (req, res) => runWithLogContext({ requestId: startRequest(req, res) }, async () => {
+  if (applyCors(req, res)) {
+    return;
+  }
+  if (!methods.includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed', code: 'METHOD_NOT_ALLOWED' });
+  }
+  try {
+    authenticate(req);
+  } catch (error) {
+    return sendError(res, error, 'Error checking API key', 'Failed to check API key');
+  }
+  return handler(req, res);
+});
+
+module.exports = {
+  auth,
+  cors,
+  requestContext,
+  route,
+  serverless
+};
@@ -0,0 +1,117 @@
+// TTL + LRU cache for video metadata so one user action (info, formats,
+// download) spawns the extractor once. Concurrent lookups of the same key
+// share one extractor call; with a directory configured, entries are also
+// written to disk and survive restarts
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('./logger');
+
+const createInfoCache = ({ ttlMs, maxEntries, dir }) => {
+  // Map iteration order doubles as the LRU order: oldest first
+  const entries = new Map();
+  const inflight = new Map();
+
+  const fileFor = (key) => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+  const remember = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  // Helper function to read a live entry from memory, then from disk
+  const read = async (key) => {
+    let entry = entries.get(key);
+    if (!entry && dir) {
+      try {
+        entry = await fs.readJson(fileFor(key));
+      } catch (err) {
+        // Not cached on disk (or unreadable), treat as a miss
+      }
+    }
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      if (dir) {
+        fs.remove(fileFor(key)).catch(() => {});
+      }
+      return null;
+    }
+    remember(key, entry);
+    return entry;
+  };
+
+  const write = (key, value) => {
+    const entry = { key, value, expiresAt: Date.now() + ttlMs };
+    remember(key, entry);
+    if (dir) {
+      fs.outputJson(fileFor(key), entry).catch(error => logger.warn('Failed to persist cached info', { error }));
+    }
+  };
+
+  // Resolve key from the cache or by calling load(). Returns { value, status }
+  // where status is HIT, MISS (load ran) or COALESCED (waited on another
+  // request's load). Failed loads are not cached
+  const fetch = async (key, load) => {
+    if (ttlMs <= 0 || maxEntries <= 0) {
+      return { value: await load(), status: 'BYPASS' };
+    }
+
+    const cached = await read(key);
+    if (cached) {
+      return { value: cached.value, status: 'HIT' };
+    }
+    if (inflight.has(key)) {
+      return { value: await inflight.get(key), status: 'COALESCED' };
+    }
+
+    const pending = load();
+    inflight.set(key, pending);
+    try {
+      const value = await pending;
+      write(key, value);
+      return { value, status: 'MISS' };
+    } finally {
+      inflight.delete(key);
+    }
+  };
+
+  // Drop expired entries, and on disk anything beyond maxEntries (oldest first)
+  const sweep = async () => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    });
+    if (!dir) {
+      return;
+    }
+    try {
+      const files = await fs.readdir(dir);
+      const stats = await Promise.all(files.map(async file => {
+        const filePath = path.join(dir, file);
+        const { mtimeMs } = await fs.stat(filePath);
+        return { filePath, mtimeMs };
+      }));
+      stats
+        .sort((a, b) => b.mtimeMs - a.mtimeMs)
+        .forEach(({ filePath, mtimeMs }, index) => {
+          if (index >= maxEntries || now - mtimeMs > ttlMs) {
+            fs.remove(filePath).catch(() => {});
+          }
+        });
+    } catch (err) {
+      // Ignore cleanup errors
+    }
+  };
+
+  return { fetch, sweep };
+};
+
+module.exports = { createInfoCache };
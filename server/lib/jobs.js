@@ -0,0 +1,238 @@
+// Background download jobs: the extractor runs detached from the HTTP request so
+// clients can poll progress instead of waiting on one long response
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const { buildDownloadOptions, findDownloadedFile } = require('./download-options');
+const { getLogContext, logger, runWithLogContext } = require('./logger');
+
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+// storage hands out work directories (see storage.js); a job keeps its
+// directory, and with it the finished file, until the job is forgotten
+const createJobQueue = ({ extractor, storage, concurrency = 2, retentionMs = 60 * 60 * 1000 }) => {
+  const jobs = new Map();
+  const pending = [];
+  const events = new EventEmitter();
+  let running = 0;
+
+  // Every SSE client subscribes, so don't warn about many listeners
+  events.setMaxListeners(0);
+
+  const notify = (job) => events.emit('update', job);
+
+  // Public view of a job (no download handle or file paths)
+  const toJSON = (job) => ({
+    id: job.id,
+    state: job.state,
+    phase: job.phase,
+    postprocessor: job.postprocessor,
+    url: job.url,
+    title: job.title,
+    format: job.format,
+    progress: job.progress,
+    fileName: job.fileName,
+    fileSize: job.fileSize,
+    error: job.error,
+    errorCode: job.errorCode,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  });
+
+  // Remove everything yt-dlp wrote for a job (final file, parts, fragments)
+  const removeFiles = (job) => {
+    if (job.workspace) {
+      job.workspace.release();
+      job.workspace = null;
+    }
+  };
+
+  const finish = (job, state, error, errorCode) => {
+    job.state = state;
+    job.phase = null;
+    job.postprocessor = null;
+    job.error = error || null;
+    job.errorCode = errorCode || null;
+    job.finishedAt = Date.now();
+    job.download = null;
+    running--;
+    logger[state === 'failed' ? 'warn' : 'info'](`Job ${state}`, { jobId: job.id, code: errorCode });
+    if (state === 'completed') {
+      job.workspace.settle();
+    } else {
+      removeFiles(job);
+    }
+    notify(job);
+    pump();
+  };
+
+  // Run the download once the job has a work directory
+  const run = (job) => {
+    const { dir } = job.workspace;
+    const downloadOptions = buildDownloadOptions(job.selection, path.join(dir, 'media.%(ext)s'));
+    job.download = extractor.download(job.url, downloadOptions, {
+      onProgress: (progress) => {
+        job.phase = 'downloading';
+        job.postprocessor = null;
+        job.progress = {
+          ...progress,
+          percent: progress.percent !== null ? progress.percent : job.progress.percent
+        };
+        notify(job);
+      },
+      // Post-processing (merging, transcoding, tagging) reports no percentage,
+      // so surface the step the extractor is in instead
+      onPostprocess: (postprocessor) => {
+        if (job.state === 'running') {
+          job.phase = 'postprocessing';
+          job.postprocessor = postprocessor;
+          notify(job);
+        }
+      }
+    });
+
+    job.download.done.then(() => {
+      // Cancelled jobs were already finished by cancel()
+      if (job.state !== 'running') {
+        return;
+      }
+      // The file can still vanish (e.g. the directory was swept); that fails
+      // the job like a failed download instead of leaving it running
+      try {
+        const downloadedFile = findDownloadedFile(dir, 'media', job.selection.audio && job.selection.audio.format);
+        if (!downloadedFile) {
+          return finish(job, 'failed', 'Downloaded file not found');
+        }
+        const ext = path.extname(downloadedFile).slice(1);
+        job.filePath = path.join(dir, downloadedFile);
+        job.fileName = job.toFileName(ext);
+        job.ext = ext;
+        job.fileSize = fs.statSync(job.filePath).size;
+      } catch (error) {
+        logger.error('Error reading downloaded file', { jobId: job.id, error });
+        job.filePath = null;
+        return finish(job, 'failed', 'Downloaded file not found');
+      }
+      job.progress = { ...job.progress, percent: 100 };
+      finish(job, 'completed');
+    }, (error) => {
+      if (job.state === 'running') {
+        finish(job, 'failed', error.message, error.code);
+      }
+    });
+  };
+
+  // Jobs hold their concurrency slot while they wait for disk space; they
+  // are already queued, so they wait rather than being turned away. Their
+  // logs carry the id of the request that created them
+  const start = (job) => runWithLogContext(job.logContext, () => {
+    running++;
+    job.state = 'running';
+    job.phase = 'storage';
+    job.startedAt = Date.now();
+    notify(job);
+
+    storage.acquire({ estimateBytes: job.estimateBytes, force: true }).then((workspace) => {
+      // Cancelled while waiting
+      if (job.state !== 'running') {
+        workspace.release();
+        return;
+      }
+      job.workspace = workspace;
+      job.phase = 'downloading';
+      notify(job);
+      run(job);
+    }, (error) => {
+      if (job.state === 'running') {
+        finish(job, 'failed', error.message, error.code);
+      }
+    });
+  });
+
+  // Start queued jobs while there are free slots
+  const pump = () => {
+    while (running < concurrency && pending.length > 0) {
+      start(pending.shift());
+    }
+  };
+
+  const create = ({ url, format, title, toFileName, selection, estimateBytes }) => {
+    const id = crypto.randomUUID();
+    const job = {
+      id,
+      state: 'queued',
+      phase: null,
+      postprocessor: null,
+      url,
+      format,
+      title,
+      toFileName,
+      selection,
+      estimateBytes,
+      workspace: null,
+      logContext: { ...getLogContext(), jobId: id },
+      progress: { percent: 0, downloadedBytes: null, totalBytes: null, speed: null, eta: null },
+      fileName: null,
+      fileSize: null,
+      error: null,
+      errorCode: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    };
+    jobs.set(id, job);
+    pending.push(job);
+    logger.info('Job queued', { jobId: id, url });
+    pump();
+    return job;
+  };
+
+  const get = (id) => jobs.get(id);
+
+  // Cancel a queued or running job and stop its download; finished jobs
+  // are dropped together with their file
+  const cancel = (job) => {
+    if (job.state === 'queued') {
+      pending.splice(pending.indexOf(job), 1);
+      job.state = 'cancelled';
+      job.finishedAt = Date.now();
+      notify(job);
+    } else if (job.state === 'running') {
+      if (job.download) {
+        job.download.cancel();
+      }
+      finish(job, 'cancelled');
+    } else {
+      removeFiles(job);
+      jobs.delete(job.id);
+    }
+    return job;
+  };
+
+  // Forget finished jobs after the retention period
+  const sweep = () => {
+    const now = Date.now();
+    jobs.forEach(job => {
+      if (isFinished(job) && now - job.finishedAt > retentionMs) {
+        removeFiles(job);
+        jobs.delete(job.id);
+      }
+    });
+  };
+
+  // Subscribe to state/progress changes; returns the unsubscribe function
+  const subscribe = (listener) => {
+    events.on('update', listener);
+    return () => events.off('update', listener);
+  };
+
+  const isFinished = (job) => FINISHED_STATES.includes(job.state);
+
+  const stats = () => ({ queued: pending.length, running, total: jobs.size, concurrency });
+
+  return { create, get, cancel, sweep, subscribe, isFinished, toJSON, stats };
+};
+
+module.exports = { createJobQueue };
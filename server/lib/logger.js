@@ -0,0 +1,84 @@
+// Structured logging: one JSON object per line (LOG_FORMAT=json) or a
+// readable line (LOG_FORMAT=pretty), below LOG_LEVEL dropped. Fields of the
+// current log context (the request id, a job id) are added to every entry,
+// so one download can be followed from the request that started it to the
+// summary it ends with
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const logContext = new AsyncLocalStorage();
+
+// Helper function to turn an error into plain fields. HttpErrors are expected
+// outcomes and get no stack; the cause keeps yt-dlp's own words
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  status: error.status,
+  stack: error.name === 'HttpError' ? undefined : error.stack,
+  cause: error.cause ? error.cause.message : undefined
+});
+
+// Helper function to replace errors among the fields with their serialized form
+const toEntryFields = (fields) => Object.fromEntries(Object.entries(fields)
+  .filter(([, value]) => value !== undefined)
+  .map(([name, value]) => [name, value instanceof Error ? serializeError(value) : value]));
+
+// Helper function to format a field value for a pretty line
+const formatValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (value.message === undefined) {
+      return JSON.stringify(value);
+    }
+    // A serialized error
+    return JSON.stringify(value.cause ? `${value.message} (${value.cause})` : value.message);
+  }
+  return typeof value === 'string' && /\s/.test(value) ? JSON.stringify(value) : String(value);
+};
+
+const createLogger = ({ level = 'info', format = 'json' } = {}) => {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  const log = (levelName, message, fields = {}) => {
+    if (LEVELS[levelName] < threshold) {
+      return;
+    }
+    const time = new Date().toISOString();
+    const entryFields = toEntryFields({ ...logContext.getStore(), ...fields });
+    let line;
+    if (format === 'pretty') {
+      const details = Object.entries(entryFields).map(([name, value]) => ` ${name}=${formatValue(value)}`).join('');
+      const stack = entryFields.error && entryFields.error.stack ? `\n${entryFields.error.stack}` : '';
+      line = `${time} ${levelName.toUpperCase().padEnd(5)} ${message}${details}${stack}`;
+    } else {
+      line = JSON.stringify({ time, level: levelName, message, ...entryFields });
+    }
+    // Warnings and errors go to stderr, as console.error did
+    (LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  };
+
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields)
+  };
+};
+
+// Run fn with fields as the log context of everything it does, including
+// callbacks and promises it starts
+const runWithLogContext = (fields, fn) => logContext.run(fields, fn);
+
+// The fields of the current log context, to carry over to later work
+const getLogContext = () => logContext.getStore() || {};
+
+const logger = createLogger({ level: config.logLevel, format: config.logFormat });
+
+module.exports = {
+  createLogger,
+  getLogContext,
+  logger,
+  runWithLogContext
+};
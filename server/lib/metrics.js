@@ -0,0 +1,158 @@
+// Prometheus metrics for the Express server, served in the text exposition
+// format at /api/metrics. Each serverless function instance would only count
+// its own few requests, so the api/*.js functions are not instrumented
+const PREFIX = 'youtube_downloader_';
+const REQUEST_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const DOWNLOAD_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600, 1800];
+
+// Helper function to render labels as {name="value",...}
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+};
+
+const createRegistry = () => {
+  const families = new Map();
+
+  const register = (name, help, type, family) => {
+    families.set(name, { name: `${PREFIX}${name}`, help, type, ...family });
+  };
+
+  const counter = (name, help) => {
+    const series = new Map();
+    register(name, help, 'counter', {
+      render: () => [...series.values()].map(({ labels, value }) => `${PREFIX}${name}${formatLabels(labels)} ${value}`)
+    });
+    const inc = (labels = {}, amount = 1) => {
+      const key = formatLabels(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    };
+    return { inc };
+  };
+
+  const histogram = (name, help, buckets) => {
+    const series = new Map();
+    register(name, help, 'histogram', {
+      render: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((le, i) => `${PREFIX}${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+        `${PREFIX}${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${PREFIX}${name}_sum${formatLabels(labels)} ${sum}`,
+        `${PREFIX}${name}_count${formatLabels(labels)} ${count}`
+      ])
+    });
+    const observe = (labels, value) => {
+      const key = formatLabels(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => {
+        if (value <= le) {
+          entry.counts[i]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    };
+    return { observe };
+  };
+
+  // A gauge read when scraped: collect returns (or resolves with) a number or
+  // a list of { labels, value }. Registering a name again replaces it
+  const gauge = (name, help, collect) => {
+    register(name, help, 'gauge', {
+      render: async () => {
+        const collected = await collect();
+        const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+        return samples
+          .filter(({ value }) => Number.isFinite(value))
+          .map(({ labels, value }) => `${PREFIX}${name}${formatLabels(labels)} ${value}`);
+      }
+    });
+  };
+
+  const render = async () => {
+    const blocks = await Promise.all([...families.values()].map(async family => [
+      `# HELP ${family.name} ${family.help}`,
+      `# TYPE ${family.name} ${family.type}`,
+      ...(await family.render())
+    ].join('\n')));
+    return `${blocks.join('\n')}\n`;
+  };
+
+  return { counter, histogram, gauge, render };
+};
+
+// The registry /api/metrics serves
+const registry = createRegistry();
+
+const httpRequests = registry.counter('http_requests_total', 'HTTP requests answered, by route, method and status');
+const httpRequestDuration = registry.histogram('http_request_duration_seconds', 'Time to answer HTTP requests, by route', REQUEST_BUCKETS);
+const httpResponseBytes = registry.counter('http_response_bytes_total', 'Response body bytes sent, by route');
+const httpErrors = registry.counter('http_errors_total', 'Error responses, by route and error code');
+const downloadDuration = registry.histogram('download_duration_seconds', 'Time extractor downloads took, by outcome', DOWNLOAD_BUCKETS);
+const downloadErrors = registry.counter('download_errors_total', 'Failed extractor downloads, by error code');
+
+// Helper function to get the byte length of a chunk passed to res.write or res.end
+const chunkLength = (chunk, encoding) => {
+  if (!chunk || typeof chunk === 'function') {
+    return 0;
+  }
+  return typeof chunk === 'string' ? Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8') : chunk.length;
+};
+
+// Express middleware that records every request once its response is over.
+// Routes are labelled by their pattern (/api/jobs/:id) so ids don't each get
+// a series of their own; the error code comes from sendError (see http.js)
+const requestMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  let bytes = 0;
+  const { write, end } = res;
+  res.write = function (chunk, encoding, ...rest) {
+    bytes += chunkLength(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    bytes += chunkLength(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  let recorded = false;
+  const record = () => {
+    if (recorded) {
+      return;
+    }
+    recorded = true;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+    const status = res.statusCode;
+    httpRequests.inc({ route, method: req.method, status });
+    httpRequestDuration.observe({ route }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    httpResponseBytes.inc({ route }, bytes);
+    if (status >= 400) {
+      httpErrors.inc({ route, code: res.errorCode || 'NONE' });
+    }
+  };
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+};
+
+// Record a finished extractor download: completed, cancelled or failed with
+// the error code
+const observeDownload = (outcome, seconds, code) => {
+  downloadDuration.observe({ outcome }, seconds);
+  if (outcome === 'failed') {
+    downloadErrors.inc({ code });
+  }
+};
+
+module.exports = {
+  createRegistry,
+  observeDownload,
+  registry,
+  requestMetrics
+};
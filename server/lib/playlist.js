@@ -0,0 +1,33 @@
+// Flat playlist/channel listings as the client sees them
+const { getInfo } = require('./extractors');
+
+// Helper function to reduce a flat playlist entry to what the client needs
+const toPlaylistEntry = (entry) => {
+  const thumbnails = entry.thumbnails || [];
+  return {
+    id: entry.id,
+    title: entry.title || 'Untitled',
+    uploader: entry.uploader || entry.channel || null,
+    duration: entry.duration || 0,
+    thumbnail: (thumbnails.length > 0 && thumbnails[thumbnails.length - 1].url) ||
+      `https://i.ytimg.com/vi/${entry.id}/mqdefault.jpg`,
+    url: `https://www.youtube.com/watch?v=${entry.id}`
+  };
+};
+
+// Helper function to list the playable videos of a playlist or channel
+const getPlaylistEntries = (info) =>
+  (info.entries || [])
+    .filter(entry => entry && entry.id && entry._type !== 'playlist')
+    .map(toPlaylistEntry);
+
+// Helper function to fetch a playlist or channel without resolving every
+// video (url is the canonical URL from the parser)
+const getPlaylist = async (url) => {
+  const info = await getInfo(url, { flatPlaylist: true });
+  return { info, entries: getPlaylistEntries(info) };
+};
+
+module.exports = {
+  getPlaylist
+};
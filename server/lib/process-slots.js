@@ -0,0 +1,63 @@
+// Global cap on concurrent extractor processes. Callers past the cap wait in
+// a FIFO queue; once the queue is full, requests are turned away with a 429
+// instead of piling up behind work that may take minutes
+const { HttpError } = require('./errors');
+
+// Seconds a turned-away client is told to wait before retrying
+const BUSY_RETRY_AFTER = 10;
+
+const createProcessSlots = ({ concurrency, maxQueue }) => {
+  let active = 0;
+  const waiting = [];
+
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  };
+
+  // Resolves with a release function once a slot is free. force skips the
+  // queue limit, for background jobs that are already queued elsewhere
+  const acquire = ({ force = false } = {}) => new Promise((resolve, reject) => {
+    let released = false;
+    const grant = () => resolve(() => {
+      if (!released) {
+        released = true;
+        release();
+      }
+    });
+
+    if (active < concurrency) {
+      active++;
+      grant();
+    } else if (force || waiting.length < maxQueue) {
+      // A released slot passes straight to the next waiter, so active stays put
+      waiting.push(grant);
+    } else {
+      reject(new HttpError(429, 'The server is busy with other downloads. Please try again shortly.', 'SERVER_BUSY', {
+        retryAfter: BUSY_RETRY_AFTER
+      }));
+    }
+  });
+
+  // Run an async task inside a slot
+  const run = async (task, options) => {
+    const done = await acquire(options);
+    try {
+      return await task();
+    } finally {
+      done();
+    }
+  };
+
+  const stats = () => ({ active, waiting: waiting.length, concurrency, maxQueue });
+
+  return { acquire, run, stats };
+};
+
+module.exports = {
+  createProcessSlots
+};
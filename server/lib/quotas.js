@@ -0,0 +1,103 @@
+// Daily quotas per client (API key, or IP when anonymous): downloads started,
+// bytes delivered and the longest video allowed. Days are UTC; usage is kept
+// in memory, so it starts over when the process does
+const { HttpError } = require('./errors');
+const { getQuota } = require('./api-keys');
+const { getClientKey } = require('./rate-limit');
+
+const usage = new Map();
+let usageDay = null;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Helper function to get the ISO time of the next UTC midnight
+const nextReset = () => {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+};
+
+// Helper function to get the caller's usage for today; a new day starts
+// everyone over
+const getUsageEntry = (req) => {
+  const day = today();
+  if (day !== usageDay) {
+    usage.clear();
+    usageDay = day;
+  }
+  const key = getClientKey(req);
+  let entry = usage.get(key);
+  if (!entry) {
+    entry = { day, downloads: 0, bytes: 0 };
+    usage.set(key, entry);
+  }
+  return entry;
+};
+
+const quotaExceeded = (message) => new HttpError(429, message, 'QUOTA_EXCEEDED', {
+  retryAfter: Math.ceil((nextReset() - Date.now()) / 1000)
+});
+
+// Helper function to check a new download of durationSeconds against the
+// caller's quotas and count it; count is the number of videos (batches)
+const reserveDownloads = (req, { count = 1, durationSeconds = 0 } = {}) => {
+  const quota = getQuota(req);
+  if (quota.maxDurationSeconds && durationSeconds > quota.maxDurationSeconds) {
+    throw new HttpError(403, `Videos longer than ${quota.maxDurationSeconds} seconds are not allowed`, 'DURATION_LIMIT', {
+      maxDurationSeconds: quota.maxDurationSeconds
+    });
+  }
+
+  const entry = getUsageEntry(req);
+  if (quota.downloadsPerDay && entry.downloads + count > quota.downloadsPerDay) {
+    throw quotaExceeded(`Daily download limit of ${quota.downloadsPerDay} reached`);
+  }
+  if (quota.bytesPerDay && entry.bytes >= quota.bytesPerDay) {
+    throw quotaExceeded('Daily download size limit reached');
+  }
+  entry.downloads += count;
+};
+
+// Helper function to add delivered bytes to the caller's usage
+const recordBytes = (req, bytes) => {
+  if (bytes > 0) {
+    getUsageEntry(req).bytes += bytes;
+  }
+};
+
+// Helper function to count a response body against the caller once it is sent
+const recordResponseBytes = (req, res) => {
+  if (req.method === 'HEAD') {
+    return;
+  }
+  res.on('finish', () => recordBytes(req, Number(res.getHeader('Content-Length')) || 0));
+};
+
+// The caller's quotas and what is left of them today
+const describeUsage = (req) => {
+  const quota = getQuota(req);
+  const entry = getUsageEntry(req);
+  const remaining = (limit, used) => (limit ? Math.max(0, limit - used) : null);
+  return {
+    client: req.apiKey ? { type: 'key', id: req.apiKey.id, name: req.apiKey.name } : { type: 'anonymous' },
+    day: entry.day,
+    resetsAt: nextReset().toISOString(),
+    quota: {
+      downloadsPerDay: quota.downloadsPerDay || null,
+      bytesPerDay: quota.bytesPerDay || null,
+      maxDurationSeconds: quota.maxDurationSeconds || null
+    },
+    usage: { downloads: entry.downloads, bytes: entry.bytes },
+    remaining: {
+      downloads: remaining(quota.downloadsPerDay, entry.downloads),
+      bytes: remaining(quota.bytesPerDay, entry.bytes)
+    }
+  };
+};
+
+module.exports = {
+  describeUsage,
+  recordBytes,
+  recordResponseBytes,
+  reserveDownloads
+};
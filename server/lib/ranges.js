@@ -0,0 +1,94 @@
+// Single-range HTTP responses for files on disk, so browsers and
+// `curl -C -` can resume an interrupted download
+const fs = require('fs-extra');
+const { contentDisposition } = require('./filenames');
+const { logger } = require('./logger');
+
+// Helper function to parse a Range header against the file size. Returns
+// { start, end } (inclusive), null to send the whole file (no header or a
+// multi-range request) or 'unsatisfiable'
+const parseRange = (header, size) => {
+  if (!header) {
+    return null;
+  }
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  if (start > end || start >= size) {
+    return 'unsatisfiable';
+  }
+  return { start, end };
+};
+
+// Helper function to check If-Range: a range only applies to the exact
+// version of the file the client already has part of
+const ifRangeMatches = (req, file) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) {
+    return true;
+  }
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return ifRange === file.etag;
+  }
+  return new Date(ifRange).getTime() >= Math.floor(file.lastModified / 1000) * 1000;
+};
+
+// Helper function to send a file as an attachment with Range support.
+// file is { filePath, fileName, contentType, size, etag, lastModified }
+const sendRangedFile = (req, res, file) => {
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', file.etag);
+  res.setHeader('Last-Modified', new Date(file.lastModified).toUTCString());
+  res.setHeader('Content-Disposition', contentDisposition(file.fileName));
+  res.setHeader('Content-Type', file.contentType || 'application/octet-stream');
+
+  const range = ifRangeMatches(req, file) ? parseRange(req.headers.range, file.size) : null;
+  if (range === 'unsatisfiable') {
+    res.setHeader('Content-Range', `bytes */${file.size}`);
+    return res.status(416).end();
+  }
+
+  let streamOptions;
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+    streamOptions = range;
+  } else {
+    res.status(200);
+    res.setHeader('Content-Length', file.size);
+  }
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const fileStream = fs.createReadStream(file.filePath, streamOptions);
+  fileStream.pipe(res);
+  fileStream.on('error', (error) => {
+    logger.error('Error streaming file', { error });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream file', code: 'UNKNOWN' });
+    } else {
+      res.destroy();
+    }
+  });
+  res.on('close', () => fileStream.destroy());
+};
+
+module.exports = {
+  parseRange,
+  sendRangedFile
+};
@@ -0,0 +1,89 @@
+// Fixed-window request limits per client. A client is its API key when the
+// request carries one, otherwise its IP address. Counters live in memory, so
+// on serverless each warm instance keeps its own
+const config = require('./config');
+const { HttpError } = require('./errors');
+
+// Forget idle clients once this many are tracked
+const MAX_TRACKED_CLIENTS = 10000;
+
+const createRateLimiter = ({ max, windowMs }) => {
+  const windows = new Map();
+
+  const prune = (now) => {
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    });
+  };
+
+  // Count one request for key against max (the limiter's own by default);
+  // returns { allowed, limit, remaining, resetAt }
+  const hit = (key, limit = max) => {
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      if (windows.size >= MAX_TRACKED_CLIENTS) {
+        prune(now);
+      }
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetAt: window.resetAt
+    };
+  };
+
+  return { hit };
+};
+
+const limiters = {
+  info: createRateLimiter({ max: config.rateLimitInfoMax, windowMs: config.rateLimitWindowMs }),
+  download: createRateLimiter({ max: config.rateLimitDownloadMax, windowMs: config.rateLimitWindowMs })
+};
+
+// Helper function to find the caller's address, trusting X-Forwarded-For only
+// behind a known proxy
+const getClientIp = (req) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (config.trustProxy && forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket?.remoteAddress || 'unknown';
+};
+
+const getClientKey = (req) => (req.apiKey ? `key:${req.apiKey.id}` : `ip:${getClientIp(req)}`);
+
+// Helper function to count a request against the info or download limit, or
+// the caller's API key's own limit for it. Sets the RateLimit-* headers and
+// throws a 429 once the client is over
+const limitRequest = (req, res, bucket) => {
+  const limiter = limiters[bucket];
+  if (!limiter || config.rateLimitWindowMs === 0) {
+    return;
+  }
+  const keyLimit = req.apiKey && req.apiKey.rateLimit[bucket];
+  const { allowed, limit, remaining, resetAt } = limiter.hit(`${bucket}:${getClientKey(req)}`, keyLimit || undefined);
+  const resetSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.setHeader('RateLimit-Limit', limit);
+  res.setHeader('RateLimit-Remaining', remaining);
+  res.setHeader('RateLimit-Reset', resetSeconds);
+
+  if (!allowed) {
+    throw new HttpError(429, 'Too many requests. Please slow down and try again shortly.', 'RATE_LIMITED', {
+      retryAfter: resetSeconds
+    });
+  }
+};
+
+module.exports = {
+  createRateLimiter,
+  getClientIp,
+  getClientKey,
+  limitRequest
+};
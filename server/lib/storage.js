@@ -0,0 +1,240 @@
+// Disk space for downloads. Every extractor run gets its own working
+// directory under <downloadsDir>/work, so cleaning up after one request can
+// never touch another's fragments. Work directories and retained files (see
+// file-store.js) share one disk budget: a run reserves its estimated size up
+// front, and one that doesn't fit waits in a FIFO queue like a process slot,
+// or is turned away once the queue is full. A run that could only fit once
+// something else finishes waits; one that can't fit even with nothing else
+// running fails at once rather than holding up the queue. Directories are
+// named after the owning process, so ones left by a crashed process are
+// removed at startup
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const { HttpError } = require('./errors');
+const { fileStore } = require('./file-store');
+const { logger } = require('./logger');
+
+// Seconds a turned-away client is told to wait before retrying
+const FULL_RETRY_AFTER = 30;
+
+// Helper function to tell whether a process id is still running
+const isProcessAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+};
+
+// Helper function to add up the size of every file under dir
+const measureDir = async (dir) => {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    return 0;
+  }
+  const sizes = await Promise.all(entries.map(async entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return measureDir(entryPath);
+    }
+    try {
+      return (await fs.stat(entryPath)).size;
+    } catch (err) {
+      // Removed while we looked
+      return 0;
+    }
+  }));
+  return sizes.reduce((total, size) => total + size, 0);
+};
+
+// Helper function to build the error for a download that can't fit the budget
+const tooLarge = () => new HttpError(507, 'This download is larger than the server can store. Try a lower quality or a shorter clip.', 'INSUFFICIENT_STORAGE');
+
+const createStorage = ({ rootDir, budgetBytes, maxQueue, defaultEstimateBytes, maxAgeMs, reclaim }) => {
+  const workRoot = path.join(rootDir, 'work');
+  const workspaces = new Map();
+  const waiting = [];
+  // Budget checks run one at a time so two requests can't claim the same space
+  let checking = Promise.resolve();
+  let recovered = null;
+
+  // Helper function to remove what crashed processes left behind (once):
+  // work directories whose owner is gone
+  const recover = () => {
+    if (!recovered) {
+      recovered = (async () => {
+        await fs.ensureDir(workRoot);
+        const dirs = await fs.readdir(workRoot);
+        await Promise.all(dirs.map(async dir => {
+          const pid = parseInt(dir.split('-')[0], 10);
+          if (pid !== process.pid && !isProcessAlive(pid)) {
+            await fs.remove(path.join(workRoot, dir)).catch(() => {});
+          }
+        }));
+      })();
+    }
+    return recovered;
+  };
+
+  // Helper function to get { usedBytes, reservedBytes }: what is on disk now,
+  // and what active workspaces have reserved but not written yet
+  const measure = async () => {
+    const usedBytes = await measureDir(rootDir);
+    const outstanding = await Promise.all([...workspaces.values()].map(async workspace =>
+      Math.max(0, workspace.estimateBytes - await measureDir(workspace.dir))));
+    return { usedBytes, reservedBytes: outstanding.reduce((total, bytes) => total + bytes, 0) };
+  };
+
+  const fits = async (estimateBytes) => {
+    if (!budgetBytes) {
+      return true;
+    }
+    const { usedBytes, reservedBytes } = await measure();
+    const shortBy = usedBytes + reservedBytes + estimateBytes - budgetBytes;
+    if (shortBy <= 0) {
+      return true;
+    }
+    // Retained files are only kept for resuming, so they go first
+    return reclaim && (await reclaim(shortBy)) >= shortBy;
+  };
+
+  const createWorkspace = async (estimateBytes) => {
+    const id = `${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+    const workspace = { id, dir: path.join(workRoot, id), estimateBytes, createdAt: Date.now() };
+    // Registered before the directory exists so the next check counts it
+    workspaces.set(id, workspace);
+    await fs.ensureDir(workspace.dir);
+    // The run is over: only what it left on disk counts from now on
+    workspace.settle = () => {
+      workspace.estimateBytes = 0;
+      pump();
+    };
+    let released = false;
+    workspace.release = async () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      await fs.remove(workspace.dir).catch(() => {});
+      workspaces.delete(id);
+      pump();
+    };
+    return workspace;
+  };
+
+  // Helper function to tell whether waiting can't help: with no workspace
+  // left to release, the space a caller needs will never free up
+  const isHopeless = () => workspaces.size === 0;
+
+  // Helper function to hand space to waiting callers, oldest first. A caller
+  // that can never fit is failed so it doesn't block the ones behind it
+  const pump = () => {
+    checking = checking.then(async () => {
+      while (waiting.length > 0) {
+        if (await fits(waiting[0].estimateBytes)) {
+          const next = waiting.shift();
+          next.resolve(await createWorkspace(next.estimateBytes));
+        } else if (isHopeless()) {
+          waiting.shift().reject(tooLarge());
+        } else {
+          break;
+        }
+      }
+    }).catch((error) => logger.error('Error checking disk budget', { error }));
+    return checking;
+  };
+
+  // Resolves with a workspace { dir, settle, release } once its estimated size fits
+  // the budget. force skips the queue limit, for background jobs that are
+  // already queued elsewhere
+  const acquire = ({ estimateBytes, force = false } = {}) => {
+    const estimate = estimateBytes || defaultEstimateBytes;
+    if (budgetBytes && estimate > budgetBytes) {
+      return Promise.reject(tooLarge());
+    }
+    return new Promise((resolve, reject) => {
+      checking = checking.then(async () => {
+        await recover();
+        if (waiting.length === 0 && await fits(estimate)) {
+          resolve(await createWorkspace(estimate));
+        } else if (waiting.length === 0 && isHopeless()) {
+          reject(tooLarge());
+        } else if (force || waiting.length < maxQueue) {
+          waiting.push({ estimateBytes: estimate, resolve, reject });
+        } else {
+          reject(new HttpError(503, 'The server is out of space for new downloads. Please try again shortly.', 'STORAGE_FULL', {
+            retryAfter: FULL_RETRY_AFTER
+          }));
+        }
+      }).catch(reject);
+    });
+  };
+
+  // Run an async task with a workspace that is removed afterwards
+  const run = async (task, options) => {
+    const workspace = await acquire(options);
+    try {
+      return await task(workspace);
+    } finally {
+      await workspace.release();
+    }
+  };
+
+  // Remove work directories no live workspace owns (e.g. a release that
+  // failed) and files older versions left loose in the downloads directory
+  const sweep = async () => {
+    await recover();
+    try {
+      const dirs = await fs.readdir(workRoot);
+      await Promise.all(dirs
+        .filter(dir => dir.startsWith(`${process.pid}-`) && !workspaces.has(dir))
+        .map(dir => fs.remove(path.join(workRoot, dir)).catch(() => {})));
+      const loose = (await fs.readdir(rootDir, { withFileTypes: true })).filter(entry => entry.isFile());
+      await Promise.all(loose.map(async entry => {
+        const filePath = path.join(rootDir, entry.name);
+        if (Date.now() - (await fs.stat(filePath)).mtimeMs > maxAgeMs) {
+          await fs.remove(filePath);
+        }
+      }));
+    } catch (err) {
+      // Ignore cleanup errors
+    }
+    // Expired retained files may have made room for someone
+    await pump();
+  };
+
+  const stats = async () => {
+    const { usedBytes, reservedBytes } = await measure();
+    return {
+      budgetBytes: budgetBytes || null,
+      usedBytes,
+      reservedBytes,
+      availableBytes: budgetBytes ? Math.max(0, budgetBytes - usedBytes - reservedBytes) : null,
+      workspaces: workspaces.size,
+      waiting: waiting.length
+    };
+  };
+
+  return { acquire, run, sweep, stats };
+};
+
+// The storage used by the routes, jobs and the command-line interface
+const storage = createStorage({
+  rootDir: config.downloadsDir,
+  budgetBytes: config.storageBudgetBytes,
+  maxQueue: config.storageMaxQueue,
+  defaultEstimateBytes: config.storageDefaultEstimateBytes,
+  maxAgeMs: config.tempFileMaxAgeMs,
+  reclaim: (bytes) => fileStore.evict(bytes)
+});
+
+module.exports = {
+  createStorage,
+  measureDir,
+  storage
+};
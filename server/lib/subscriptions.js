@@ -0,0 +1,287 @@
+// Subscriptions: channels and playlists checked on a schedule, with every new
+// upload downloaded into SUBSCRIPTIONS_OUTPUT_DIR (a folder per subscription),
+// until the folders reach SUBSCRIPTIONS_MAX_BYTES.
+// The subscriptions live in <dir>/subscriptions.json and the videos each one
+// has handled in <dir>/archives/<id>.txt, in yt-dlp's --download-archive
+// format ("youtube <video id>" per line), so a restart never downloads
+// anything twice. Since they download on their own, they are off unless
+// SUBSCRIPTIONS_ENABLED is set or API keys decide who may add them
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const { HttpError } = require('./errors');
+const { loadKeyFile } = require('./api-keys');
+const { logger } = require('./logger');
+const { getPlaylist } = require('./playlist');
+const { download } = require('./extractors');
+const { measureDir, storage } = require('./storage');
+const { getFileNameFields, renderFileName, resolveTemplate, sanitizeFileName } = require('./filenames');
+const { buildDownloadOptions, findDownloadedFile, resolveDownloadFormat } = require('./download-options');
+
+// How often the scheduler looks for subscriptions that are due
+const TICK_MS = 60 * 1000;
+
+// Helper function to find a free path for name in dir, adding " (2)" and so on
+const findFreePath = async (dir, name) => {
+  const ext = path.extname(name);
+  const base = path.basename(name, ext);
+  let candidate = name;
+  for (let n = 2; await fs.pathExists(path.join(dir, candidate)); n++) {
+    candidate = `${base} (${n})${ext}`;
+  }
+  return path.join(dir, candidate);
+};
+
+const createSubscriptions = ({ dir, outputDir, maxBytes, maxPerCheck }) => {
+  const subscriptions = new Map();
+  const archives = new Map();
+  const checking = new Set();
+  const listFile = path.join(dir, 'subscriptions.json');
+  const archiveFile = (id) => path.join(dir, 'archives', `${id}.txt`);
+  let loaded = null;
+  let saving = Promise.resolve();
+  let timer = null;
+  let ticking = false;
+
+  // Helper function to read the subscriptions and their archives (once)
+  const load = () => {
+    if (!loaded) {
+      loaded = (async () => {
+        await fs.ensureDir(path.join(dir, 'archives'));
+        const list = (await fs.pathExists(listFile)) ? await fs.readJson(listFile) : [];
+        await Promise.all(list.map(async subscription => {
+          let lines = [];
+          if (await fs.pathExists(archiveFile(subscription.id))) {
+            lines = (await fs.readFile(archiveFile(subscription.id), 'utf8')).split('\n');
+          }
+          subscriptions.set(subscription.id, subscription);
+          archives.set(subscription.id, new Set(lines.map(line => line.split(' ')[1]).filter(Boolean)));
+        }));
+      })();
+    }
+    return loaded;
+  };
+
+  // Helper function to write the list, one save at a time; through a temp
+  // file so a crash can't leave it half-written
+  const save = () => {
+    saving = saving.then(async () => {
+      const temp = `${listFile}.${process.pid}.tmp`;
+      await fs.writeJson(temp, [...subscriptions.values()], { spaces: 2 });
+      await fs.move(temp, listFile, { overwrite: true });
+    }).catch(error => logger.error('Failed to save subscriptions', { error }));
+    return saving;
+  };
+
+  const archive = async (subscription, videoIds) => {
+    const archived = archives.get(subscription.id);
+    videoIds.forEach(videoId => archived.add(videoId));
+    if (videoIds.length > 0) {
+      await fs.appendFile(archiveFile(subscription.id), videoIds.map(videoId => `youtube ${videoId}\n`).join(''));
+    }
+  };
+
+  // Public view of a subscription
+  const toJSON = (subscription) => ({
+    ...subscription,
+    checking: checking.has(subscription.id),
+    archivedCount: archives.has(subscription.id) ? archives.get(subscription.id).size : 0
+  });
+
+  const list = async () => {
+    await load();
+    return [...subscriptions.values()].sort((a, b) => a.createdAt - b.createdAt);
+  };
+
+  const get = async (id) => {
+    await load();
+    return subscriptions.get(id) || null;
+  };
+
+  // Add a subscription. entries is the collection's current listing: they are
+  // archived without downloading unless backfill is set, so only uploads from
+  // now on are fetched
+  const add = async ({ url, title, uploader, format, audioBitrate, template, intervalMinutes, backfill, entries }) => {
+    await load();
+    if ([...subscriptions.values()].some(existing => existing.url === url)) {
+      throw new HttpError(409, 'You are already subscribed to this playlist or channel', 'SUBSCRIPTION_EXISTS');
+    }
+    const now = Date.now();
+    const id = crypto.randomUUID();
+    const subscription = {
+      id,
+      url,
+      title,
+      uploader,
+      // The id keeps two collections with the same title apart
+      folder: `${sanitizeFileName(title)} (${id.slice(0, 8)})`,
+      format,
+      audioBitrate,
+      template,
+      intervalMinutes,
+      enabled: true,
+      createdAt: now,
+      lastCheckedAt: null,
+      // A backfill starts right away
+      nextCheckAt: backfill ? now : now + intervalMinutes * 60 * 1000,
+      downloadedCount: 0,
+      lastDownloadedAt: null,
+      lastError: null,
+      lastErrorCode: null
+    };
+    subscriptions.set(subscription.id, subscription);
+    archives.set(subscription.id, new Set());
+    await fs.outputFile(archiveFile(subscription.id), '');
+    if (!backfill) {
+      await archive(subscription, entries.map(entry => entry.id));
+    }
+    await save();
+    if (backfill) {
+      tick();
+    }
+    return subscription;
+  };
+
+  // Change the preset, schedule or enabled state; fields left out stay as they are
+  const update = async (subscription, changes) => {
+    const { intervalMinutes } = subscription;
+    Object.assign(subscription, changes);
+    if (changes.intervalMinutes && changes.intervalMinutes !== intervalMinutes) {
+      subscription.nextCheckAt = (subscription.lastCheckedAt || Date.now()) + subscription.intervalMinutes * 60 * 1000;
+    }
+    await save();
+    return subscription;
+  };
+
+  // Forget a subscription and its archive; downloaded files stay
+  const remove = async (subscription) => {
+    subscriptions.delete(subscription.id);
+    archives.delete(subscription.id);
+    await fs.remove(archiveFile(subscription.id)).catch(() => {});
+    await save();
+  };
+
+  // Helper function to download one entry into the subscription's folder
+  const downloadEntry = (subscription, entry) => storage.run(async (workspace) => {
+    const selection = resolveDownloadFormat({}, { format: subscription.format, audioBitrate: subscription.audioBitrate });
+    const downloadOptions = buildDownloadOptions(selection, path.join(workspace.dir, 'media.%(ext)s'));
+    // Already scheduled in the background, so wait for a slot rather than be turned away
+    await download(entry.url, downloadOptions, {}, { force: true }).done;
+
+    const downloadedFile = findDownloadedFile(workspace.dir, 'media', selection.audio && selection.audio.format);
+    if (!downloadedFile) {
+      throw new Error('Downloaded file not found');
+    }
+    const ext = path.extname(downloadedFile).slice(1);
+    const fileName = renderFileName(resolveTemplate(subscription.template || undefined), getFileNameFields({
+      ...entry,
+      uploader: entry.uploader || subscription.uploader
+    }, selection), ext);
+    const folder = path.join(outputDir, subscription.folder);
+    await fs.ensureDir(folder);
+    await fs.move(path.join(workspace.dir, downloadedFile), await findFreePath(folder, fileName));
+  }, { force: true });
+
+  // List the collection and download what the archive doesn't have yet, at
+  // most maxPerCheck videos per check, oldest first. Videos that can never be
+  // downloaded (private, removed...) are archived so they aren't retried;
+  // anything else is tried again on the next check
+  const check = async (subscription) => {
+    if (checking.has(subscription.id)) {
+      return;
+    }
+    checking.add(subscription.id);
+    const { id } = subscription;
+    let lastError = null;
+    try {
+      const { entries } = await getPlaylist(subscription.url);
+      const archived = archives.get(id);
+      // Channels and most playlists list the newest uploads first
+      const fresh = entries.filter(entry => !archived.has(entry.id)).slice(0, maxPerCheck).reverse();
+      logger.info('Checking subscription', { subscriptionId: id, newVideos: fresh.length });
+      for (const entry of fresh) {
+        // Removed or paused while this check was running
+        if (!subscriptions.has(id) || !subscription.enabled) {
+          break;
+        }
+        // Nothing removes these files, so stop before they outgrow their space
+        if (maxBytes && await measureDir(outputDir) >= maxBytes) {
+          lastError = new HttpError(507, 'Subscription downloads have used up their disk space. Delete some to get new videos.', 'SUBSCRIPTIONS_FULL');
+          break;
+        }
+        try {
+          await downloadEntry(subscription, entry);
+          subscription.downloadedCount++;
+          subscription.lastDownloadedAt = Date.now();
+          await archive(subscription, [entry.id]);
+        } catch (error) {
+          lastError = error;
+          logger.warn('Subscription download failed', { subscriptionId: id, videoId: entry.id, error });
+          if (error.status && error.status < 500) {
+            await archive(subscription, [entry.id]);
+          }
+        }
+      }
+    } catch (error) {
+      lastError = error;
+      logger.warn('Subscription check failed', { subscriptionId: id, error });
+    } finally {
+      checking.delete(id);
+    }
+    subscription.lastCheckedAt = Date.now();
+    subscription.nextCheckAt = subscription.lastCheckedAt + subscription.intervalMinutes * 60 * 1000;
+    subscription.lastError = lastError ? lastError.message : null;
+    subscription.lastErrorCode = lastError ? lastError.code || null : null;
+    if (subscriptions.has(id)) {
+      await save();
+    }
+  };
+
+  // Check every enabled subscription that is due, one after another
+  const tick = async () => {
+    if (ticking) {
+      return;
+    }
+    ticking = true;
+    try {
+      await load();
+      const due = [...subscriptions.values()].filter(subscription =>
+        subscription.enabled && subscription.nextCheckAt <= Date.now());
+      for (const subscription of due) {
+        await check(subscription);
+      }
+    } catch (error) {
+      logger.error('Error checking subscriptions', { error });
+    } finally {
+      ticking = false;
+    }
+  };
+
+  // Start checking on a schedule; only the long-running server does this
+  const start = () => {
+    if (!timer) {
+      timer = setInterval(tick, TICK_MS);
+      tick();
+    }
+  };
+
+  return { list, get, add, update, remove, check, start, toJSON };
+};
+
+// Whether this server offers subscriptions (see the top of this file)
+const subscriptionsEnabled = () => config.subscriptionsEnabled || loadKeyFile().keys.size > 0;
+
+// The subscriptions the server schedules
+const subscriptions = createSubscriptions({
+  dir: config.subscriptionsDir,
+  outputDir: config.subscriptionsOutputDir,
+  maxBytes: config.subscriptionsMaxBytes,
+  maxPerCheck: config.subscriptionMaxPerCheck
+});
+
+module.exports = {
+  createSubscriptions,
+  subscriptions,
+  subscriptionsEnabled
+};
@@ -0,0 +1,47 @@
+// The JSON shapes of video, playlist and format listings, shared by the API
+// handlers and the command-line interface so both print the same thing
+const { listCaptions } = require('./captions');
+
+// Helper function to summarize a single video; link is the parsed URL
+const toVideoSummary = (info, link) => ({
+  title: info.title || info.fulltitle || 'Unknown Title',
+  thumbnail: info.thumbnail || (info.thumbnails && info.thumbnails[0]?.url) || null,
+  duration: info.duration || 0,
+  author: info.uploader || info.channel || 'Unknown Author',
+  uploadDate: info.upload_date || null,
+  formats: info.formats || [],
+  captions: listCaptions(info),
+  videoId: link.videoId,
+  startTime: link.start
+});
+
+// Helper function to summarize a playlist or channel and its entries
+const toPlaylistSummary = (info, entries) => ({
+  id: info.id,
+  title: info.title || 'Untitled Playlist',
+  author: info.uploader || info.channel || 'Unknown Author',
+  entryCount: entries.length,
+  entries
+});
+
+// Helper function to list every stream of a video with its capabilities
+const toFormatList = (info) => (info.formats || []).map(format => ({
+  format_id: format.format_id,
+  ext: format.ext,
+  resolution: format.resolution || (format.height ? `${format.height}p` : 'unknown'),
+  height: format.height || null,
+  fps: format.fps || null,
+  tbr: format.tbr || null,
+  format_note: format.format_note || null,
+  filesize: format.filesize || format.filesize_approx || null,
+  vcodec: format.vcodec || 'none',
+  acodec: format.acodec || 'none',
+  hasVideo: Boolean(format.vcodec && format.vcodec !== 'none'),
+  hasAudio: Boolean(format.acodec && format.acodec !== 'none')
+}));
+
+module.exports = {
+  toFormatList,
+  toPlaylistSummary,
+  toVideoSummary
+};
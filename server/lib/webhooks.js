@@ -0,0 +1,176 @@
+// Webhook notifications: a JSON POST to a caller's callbackUrl when its
+// download finishes. Each delivery is signed with WEBHOOK_SECRET: the
+// X-Webhook-Signature header is "sha256=" and the hex HMAC-SHA256 of
+// "<X-Webhook-Timestamp>.<body>", so receivers can check both the sender and
+// the age of the message. Failed deliveries are retried with exponential
+// backoff; 4xx answers other than 408 and 429 are final. Callbacks never go
+// to loopback, private or link-local addresses unless the host is listed in
+// WEBHOOK_ALLOWED_HOSTS, so the server can't be used to reach its own network
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const config = require('./config');
+const { HttpError } = require('./errors');
+const { logger } = require('./logger');
+const { registry } = require('./metrics');
+
+const MAX_URL_LENGTH = 2048;
+// Backoff never waits longer than this between attempts
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+const deliveries = registry.counter('webhook_deliveries_total', 'Webhook deliveries, by outcome');
+
+// Addresses that are not on the public internet
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Helper function to tell whether an address is private; IPv4-mapped IPv6
+// addresses (::ffff:127.0.0.1) are checked as the IPv4 address they carry
+const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Helper function to sign a body the way receivers are told to check it
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Helper function to tell whether an answer is worth another attempt
+const isRetryable = (status) => status >= 500 || status === 408 || status === 429;
+
+const createWebhooks = ({
+  secret, maxAttempts, baseDelayMs, timeoutMs, allowedHosts, fetch = global.fetch, lookup = dns.promises.lookup
+}) => {
+  // Helper function to resolve the callback's host and throw a 400 when any
+  // of its addresses is private. Listed hosts are trusted as they are
+  const checkAddresses = async (parsed) => {
+    if (allowedHosts.includes(parsed.hostname)) {
+      return;
+    }
+    // URL keeps the brackets around IPv6 literals
+    const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true });
+    } catch (err) {
+      throw new HttpError(400, `The callbackUrl host ${parsed.hostname} could not be resolved`, 'INVALID_CALLBACK_URL');
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new HttpError(400, 'Callbacks to private or local addresses are not allowed', 'INVALID_CALLBACK_URL');
+    }
+  };
+
+  // Check a callbackUrl from a request; resolves with the normalized URL or
+  // rejects with a 400
+  const validateCallbackUrl = async (callbackUrl) => {
+    if (!secret) {
+      throw new HttpError(400, 'Callbacks are not enabled on this server', 'WEBHOOKS_DISABLED');
+    }
+    let parsed;
+    try {
+      parsed = new URL(String(callbackUrl));
+    } catch (err) {
+      throw new HttpError(400, 'callbackUrl must be a valid URL', 'INVALID_CALLBACK_URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol) || parsed.href.length > MAX_URL_LENGTH) {
+      throw new HttpError(400, 'callbackUrl must be an http or https URL', 'INVALID_CALLBACK_URL');
+    }
+    if (allowedHosts.length > 0 && !allowedHosts.includes(parsed.hostname)) {
+      throw new HttpError(400, `Callbacks to ${parsed.hostname} are not allowed`, 'INVALID_CALLBACK_URL');
+    }
+    await checkAddresses(parsed);
+    return parsed.href;
+  };
+
+  // Helper function to make one attempt; resolves with the status, or
+  // rejects on network errors and timeouts. The host is resolved again, as
+  // its DNS may have changed since the URL was accepted
+  const post = async (callbackUrl, headers, body) => {
+    await checkAddresses(new URL(callbackUrl));
+    const response = await fetch(callbackUrl, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    // Nothing is read from the answer, let the connection go
+    if (response.body) {
+      await response.body.cancel().catch(() => {});
+    }
+    return response.status;
+  };
+
+  // POST event and data to callbackUrl until it is accepted or the attempts
+  // run out. Resolves with whether it was delivered; never rejects
+  const deliver = async (callbackUrl, event, data) => {
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ id, event, createdAt: new Date().toISOString(), data });
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      // Signed per attempt so the timestamp is fresh
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'youtube-downloader-webhooks',
+        'X-Webhook-Id': id,
+        'X-Webhook-Event': event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': sign(secret, timestamp, body)
+      };
+      let status = null;
+      let reason;
+      try {
+        status = await post(callbackUrl, headers, body);
+      } catch (error) {
+        // fetch only says "fetch failed"; the cause has e.g. ECONNREFUSED
+        reason = (error.cause && error.cause.message) || error.message;
+      }
+
+      if (status !== null && status < 300) {
+        deliveries.inc({ outcome: 'delivered' });
+        logger.info('Webhook delivered', { webhookId: id, event, attempt, status });
+        return true;
+      }
+      if (status !== null && !isRetryable(status)) {
+        deliveries.inc({ outcome: 'rejected' });
+        logger.warn('Webhook rejected', { webhookId: id, event, attempt, status });
+        return false;
+      }
+      if (attempt < maxAttempts) {
+        const delayMs = Math.min(baseDelayMs * 2 ** (attempt - 1), MAX_DELAY_MS);
+        logger.info('Webhook attempt failed, retrying', {
+          webhookId: id, event, attempt, status: status || undefined, reason, retryInMs: delayMs
+        });
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      } else {
+        deliveries.inc({ outcome: 'failed' });
+        logger.warn('Webhook failed', { webhookId: id, event, attempts: attempt, status: status || undefined, reason });
+      }
+    }
+    return false;
+  };
+
+  return { validateCallbackUrl, deliver };
+};
+
+// The webhooks the job routes send
+const webhooks = createWebhooks({
+  secret: config.webhookSecret,
+  maxAttempts: config.webhookMaxAttempts,
+  baseDelayMs: config.webhookRetryDelayMs,
+  timeoutMs: config.webhookTimeoutMs,
+  allowedHosts: config.webhookAllowedHosts
+});
+
+module.exports = {
+  createWebhooks,
+  webhooks
+};
@@ -0,0 +1,215 @@
+// YouTube URL parser: works out what a link points to (video, short, live,
+// playlist or channel), pulls out the ids and start time and rebuilds a
+// canonical URL for the extractor. Every route validates input through here
+const { HttpError } = require('./errors');
+
+const VIDEO_ID = /^[\w-]{11}$/;
+const PLAYLIST_ID = /^[\w-]{2,}$/;
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com',
+  'youtube-nocookie.com', 'www.youtube-nocookie.com'];
+const SHORT_HOSTS = ['youtu.be', 'www.youtu.be'];
+const CHANNEL_TABS = ['videos', 'shorts', 'streams', 'featured'];
+// Channel tabs that list playlists (releases are albums) rather than videos;
+// yt-dlp gives nothing to download for them
+const PLAYLIST_TABS = ['playlists', 'releases'];
+
+// Reasons a link is rejected, with the message shown to the user
+const URL_ERRORS = {
+  MISSING: 'YouTube URL is required',
+  MALFORMED: 'This doesn\'t look like a link. Paste the full YouTube URL or an 11-character video ID.',
+  NOT_YOUTUBE: 'Only YouTube links are supported.',
+  INVALID_VIDEO_ID: 'The video ID in this link is not valid.',
+  INVALID_PLAYLIST_ID: 'The playlist ID in this link is not valid.',
+  UNSUPPORTED_PATH: 'This YouTube link doesn\'t point to a video, playlist or channel.',
+  PLAYLIST_TAB: 'This channel page lists playlists, not videos. Open one of the playlists and use its link.'
+};
+
+const fail = (reason) => ({ ok: false, reason, error: URL_ERRORS[reason] });
+
+// Helper function to read a t=/start= value: "90", "90s", "1m30s", "1h2m3s"
+// (null when absent or malformed)
+const parseStartTime = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+// Helper function to build the parse result for a video link
+const videoResult = (kind, videoId, params) => {
+  if (!VIDEO_ID.test(videoId || '')) {
+    return fail('INVALID_VIDEO_ID');
+  }
+  const playlistId = params.get('list');
+  return {
+    ok: true,
+    kind,
+    videoId,
+    playlistId: playlistId && PLAYLIST_ID.test(playlistId) ? playlistId : null,
+    channel: null,
+    start: parseStartTime(params.get('t') || params.get('start')),
+    canonicalUrl: `https://www.youtube.com/watch?v=${videoId}`
+  };
+};
+
+const playlistResult = (playlistId) => {
+  if (!PLAYLIST_ID.test(playlistId || '')) {
+    return fail('INVALID_PLAYLIST_ID');
+  }
+  return {
+    ok: true,
+    kind: 'playlist',
+    videoId: null,
+    playlistId,
+    channel: null,
+    start: null,
+    canonicalUrl: `https://www.youtube.com/playlist?list=${playlistId}`
+  };
+};
+
+// Bare channel URLs point at the uploads tab, otherwise yt-dlp lists the
+// channel's tabs instead of its videos
+const channelResult = (channel, tab) => {
+  if (PLAYLIST_TABS.includes(tab)) {
+    return fail('PLAYLIST_TAB');
+  }
+  if (tab && !CHANNEL_TABS.includes(tab)) {
+    return fail('UNSUPPORTED_PATH');
+  }
+  return {
+    ok: true,
+    kind: 'channel',
+    videoId: null,
+    playlistId: null,
+    channel,
+    start: null,
+    canonicalUrl: `https://www.youtube.com/${channel}/${tab || 'videos'}`
+  };
+};
+
+// Parse anything a user might paste. Returns { ok: true, kind, videoId,
+// playlistId, channel, start, canonicalUrl } or { ok: false, reason, error }
+const parseYouTubeURL = (input) => {
+  const value = String(input || '').trim();
+  if (!value) {
+    return fail('MISSING');
+  }
+  if (VIDEO_ID.test(value)) {
+    return videoResult('video', value, new URLSearchParams());
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+  } catch (err) {
+    return fail('MALFORMED');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return fail('MALFORMED');
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  const params = parsed.searchParams;
+  // Timestamps also show up in the fragment (#t=90)
+  if (!params.has('t') && /^#t=/.test(parsed.hash)) {
+    params.set('t', parsed.hash.slice(3));
+  }
+  const segments = parsed.pathname.split('/').filter(Boolean);
+
+  if (SHORT_HOSTS.includes(host)) {
+    return segments.length === 1 ? videoResult('video', segments[0], params) : fail('INVALID_VIDEO_ID');
+  }
+  if (!YOUTUBE_HOSTS.includes(host)) {
+    return fail('NOT_YOUTUBE');
+  }
+
+  const [first, second, third] = segments;
+  switch (first) {
+    case 'watch':
+      if (params.has('v')) {
+        return videoResult('video', params.get('v'), params);
+      }
+      // A watch URL without a video is just the playlist
+      return params.has('list') ? playlistResult(params.get('list')) : fail('INVALID_VIDEO_ID');
+    case 'playlist':
+      return playlistResult(params.get('list'));
+    case 'shorts':
+      return videoResult('short', second, params);
+    case 'live':
+      return videoResult('live', second, params);
+    case 'embed':
+    case 'v':
+    case 'e':
+      // Embedded playlists: /embed/videoseries?list=... ("videoseries" would
+      // pass for a video id) or /embed?list=...
+      if (second === 'videoseries' || (params.has('list') && !VIDEO_ID.test(second || ''))) {
+        return playlistResult(params.get('list'));
+      }
+      return videoResult('video', second, params);
+    case 'channel':
+    case 'c':
+    case 'user':
+      if (!second) {
+        return fail('UNSUPPORTED_PATH');
+      }
+      return channelResult(`${first}/${second}`, third);
+    default:
+      if (first && first.startsWith('@') && first.length > 1) {
+        return channelResult(first, second);
+      }
+      return fail('UNSUPPORTED_PATH');
+  }
+};
+
+const isVideoKind = (kind) => ['video', 'short', 'live'].includes(kind);
+
+// Helper function to get the video id of a video link (null for anything else)
+const getVideoId = (url) => {
+  const parsed = parseYouTubeURL(url);
+  return parsed.ok && isVideoKind(parsed.kind) ? parsed.videoId : null;
+};
+
+// Helper function to throw the 400 for a rejected link, with the reason code
+const invalidURL = (parsed) => new HttpError(400, parsed.error, 'INVALID_URL', { reason: parsed.reason });
+
+// Helper function to parse a link that must be a single video (a playlist or
+// channel gets its own code so the client can switch to the playlist view)
+const requireVideoURL = (url) => {
+  const parsed = parseYouTubeURL(url);
+  if (!parsed.ok) {
+    throw invalidURL(parsed);
+  }
+  if (!isVideoKind(parsed.kind)) {
+    throw new HttpError(400, 'This URL points to a playlist or channel. Use /api/playlist-info instead.', 'PLAYLIST_URL');
+  }
+  return parsed;
+};
+
+// Helper function to parse a link that must be a playlist or channel
+const requireCollectionURL = (url) => {
+  const parsed = parseYouTubeURL(url);
+  if (!parsed.ok) {
+    throw invalidURL(parsed);
+  }
+  if (isVideoKind(parsed.kind)) {
+    throw new HttpError(400, 'Invalid YouTube playlist or channel URL', 'INVALID_URL', { reason: 'NOT_A_COLLECTION' });
+  }
+  return parsed;
+};
+
+module.exports = {
+  URL_ERRORS,
+  parseYouTubeURL,
+  parseStartTime,
+  getVideoId,
+  requireVideoURL,
+  requireCollectionURL
+};
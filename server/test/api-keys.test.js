@@ -0,0 +1,98 @@
+// API keys and quotas from API_KEYS_FILE. The file is written after the
+// server starts: the app only reads it on first use (the startup check lives
+// in the listen block, which tests don't run)
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const { startServer, waitForJob } = require('./helpers');
+
+const VIDEO_URL = 'https://www.youtube.com/watch?v=fakevideo01';
+const KEY = 'test-key-with-enough-randomness';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+const writeKeyFile = (contents) => fs.writeFileSync(process.env.API_KEYS_FILE, contents);
+
+describe('API keys', () => {
+  it('fails every request while the key file is broken', async () => {
+    writeKeyFile('{ "keys": [ { "id": "no-key" } ] }');
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const res = await server.request('/api/jobs', { method: 'POST', json: { url: VIDEO_URL } });
+      assert.strictEqual(res.status, 500);
+      assert.match((await res.json()).error, /every key needs an id and a key/);
+    }
+    const usage = await server.request('/api/usage');
+    assert.strictEqual(usage.status, 500);
+    assert.ok((await usage.json()).error);
+    writeKeyFile('{ "keys": [');
+    const res = await server.request('/api/video-info?url=x', { headers: { 'X-API-Key': KEY } });
+    assert.strictEqual(res.status, 500);
+    assert.match((await res.json()).error, /api-keys\.json/);
+  });
+
+  it('uses the file once it is fixed', async () => {
+    writeKeyFile(JSON.stringify({
+      keys: [{ id: 'tests', key: KEY, quota: { downloadsPerDay: 5 } }],
+      anonymous: { quota: { downloadsPerDay: 1 } }
+    }));
+
+    const anonymous = await server.request('/api/jobs', { method: 'POST', json: { url: VIDEO_URL, format: 'm4a' } });
+    assert.strictEqual(anonymous.status, 202);
+    // Finished before the test ends, so closing the server can't pull the
+    // downloads directory out from under them
+    await waitForJob(server.request, (await anonymous.json()).id);
+    const overQuota = await server.request('/api/jobs', { method: 'POST', json: { url: VIDEO_URL, format: 'm4a' } });
+    assert.strictEqual(overQuota.status, 429);
+    assert.strictEqual((await overQuota.json()).code, 'QUOTA_EXCEEDED');
+
+    const withKey = await server.request('/api/jobs', {
+      method: 'POST',
+      headers: { 'X-API-Key': KEY },
+      json: { url: VIDEO_URL, format: 'm4a' }
+    });
+    assert.strictEqual(withKey.status, 202);
+    await waitForJob(server.request, (await withKey.json()).id);
+  });
+
+  it('does not count resuming a retained download as another download', async () => {
+    const url = `/api/download?url=${encodeURIComponent(VIDEO_URL)}&format=mp3&audioBitrate=192`;
+    const headers = { 'X-API-Key': KEY };
+    const before = (await (await server.request('/api/usage', { headers })).json()).usage.downloads;
+
+    const first = await server.request(url, { headers });
+    assert.strictEqual(first.headers.get('x-download-mode'), 'staged');
+    await first.arrayBuffer();
+    // More resumes than the key's quota allows downloads
+    for (let attempt = 0; attempt < 6; attempt++) {
+      const resumed = await server.request(url, { headers: { ...headers, Range: 'bytes=100-' } });
+      assert.strictEqual(resumed.status, 206);
+      assert.strictEqual(resumed.headers.get('x-download-mode'), 'stored');
+      await resumed.arrayBuffer();
+    }
+
+    const usage = await (await server.request('/api/usage', { headers })).json();
+    assert.strictEqual(usage.usage.downloads, before + 1);
+  });
+
+  it('turns subscriptions on for callers with a key', async () => {
+    const anonymous = await server.request('/api/subscriptions');
+    assert.strictEqual(anonymous.status, 401);
+    assert.strictEqual((await anonymous.json()).code, 'API_KEY_REQUIRED');
+    const withKey = await server.request('/api/subscriptions', { headers: { 'X-API-Key': KEY } });
+    assert.strictEqual(withKey.status, 200);
+  });
+
+  it('rejects an unknown key', async () => {
+    const res = await server.request('/api/usage', { headers: { 'X-API-Key': 'not-a-key' } });
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual((await res.json()).code, 'INVALID_API_KEY');
+  });
+});
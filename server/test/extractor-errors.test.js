@@ -0,0 +1,60 @@
+// Every recorded yt-dlp failure under extractors/fixtures/videos maps to its
+// code; a new fixture has to be added to the table
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('../lib/errors');
+const { classifyExtractorError } = require('../lib/extractor-errors');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'lib', 'extractors', 'fixtures', 'videos');
+
+// fixture name: [code, status]
+const EXPECTED = {
+  agerestrict: ['AGE_RESTRICTED', 403],
+  botcheck001: ['YOUTUBE_BLOCKED', 503],
+  copyrighted: ['COPYRIGHT_BLOCKED', 451],
+  geoblocked1: ['GEO_BLOCKED', 451],
+  livesoon001: ['LIVE_NOT_STARTED', 409],
+  membersonly: ['MEMBERS_ONLY', 403],
+  noresolve01: ['NETWORK_ERROR', 503],
+  privatevid1: ['PRIVATE_VIDEO', 403],
+  ratelimited: ['UPSTREAM_RATE_LIMITED', 503],
+  removedvid1: ['VIDEO_REMOVED', 404],
+  timedout001: ['UPSTREAM_TIMEOUT', 504],
+  unavailabl1: ['VIDEO_UNAVAILABLE', 404],
+  unknownerr1: ['EXTRACTOR_FAILED', 502]
+};
+
+const errorFixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => ({ name: path.basename(file, '.json'), fixture: JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')) }))
+  .filter(({ fixture }) => fixture.error);
+
+describe('classifyExtractorError', () => {
+  it('has an expected code for every error fixture', () => {
+    assert.deepStrictEqual(errorFixtures.map(({ name }) => name).sort(), Object.keys(EXPECTED).sort());
+  });
+
+  errorFixtures.forEach(({ name, fixture }) => {
+    it(`classifies ${name}`, () => {
+      const [code, status] = EXPECTED[name];
+      const error = classifyExtractorError(new Error(fixture.error));
+      assert.ok(error instanceof HttpError);
+      assert.strictEqual(error.code, code);
+      assert.strictEqual(error.status, status);
+      assert.strictEqual(error.cause.message, fixture.error);
+    });
+  });
+
+  it('passes through errors that are not yt-dlp\'s', () => {
+    const cancelled = new Error('Download cancelled');
+    assert.strictEqual(classifyExtractorError(cancelled), cancelled);
+    const httpError = new HttpError(400, 'Bad', 'INVALID_REQUEST');
+    assert.strictEqual(classifyExtractorError(httpError), httpError);
+  });
+
+  it('asks clients to wait on upstream throttling', () => {
+    assert.strictEqual(classifyExtractorError(new Error('ERROR: HTTP Error 429: Too Many Requests')).details.retryAfter, 60);
+  });
+});
@@ -0,0 +1,64 @@
+// Metadata lookups that time out, with a single process slot so a lookup
+// left running would block every later one
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const { startServer } = require('./helpers');
+
+const HUNG_URL = `/api/video-info?url=${encodeURIComponent('https://youtu.be/hangingvid1')}`;
+
+let server;
+let extractors;
+
+before(async () => {
+  server = await startServer({ INFO_TIMEOUT_MS: '100', MAX_PROCESSES: '1' });
+  extractors = require('../lib/extractors');
+});
+
+after(async () => {
+  await server.close();
+});
+
+// Helper function to swap the backend's getInfo for the length of a test
+const replaceGetInfo = async (replacement, test) => {
+  const backend = extractors.getExtractor();
+  const original = backend.getInfo;
+  backend.getInfo = (...args) => replacement(original, ...args);
+  try {
+    await test();
+  } finally {
+    backend.getInfo = original;
+  }
+};
+
+describe('metadata lookup timeouts', () => {
+  it('aborts a lookup that never answers', async () => {
+    const signals = [];
+    await replaceGetInfo((original, url, options, callbacks) => {
+      signals.push(callbacks.signal);
+      return original(url, options, callbacks);
+    }, async () => {
+      const res = await server.request(HUNG_URL);
+      assert.strictEqual(res.status, 504);
+      assert.strictEqual((await res.json()).code, 'TIMEOUT');
+    });
+    assert.strictEqual(signals.length, 1);
+    assert.strictEqual(signals[0].aborted, true);
+
+    const next = await server.request(`/api/formats?url=${encodeURIComponent('https://youtu.be/fakevideo01')}`);
+    assert.strictEqual(next.status, 200);
+  });
+
+  it('keeps the slot until the lookup has ended', async () => {
+    let finish;
+    // A process that takes its time to exit after being told to stop
+    await replaceGetInfo(() => new Promise((resolve) => { finish = resolve; }), async () => {
+      const res = await server.request(HUNG_URL);
+      assert.strictEqual(res.status, 504);
+      assert.strictEqual(extractors.processSlots.stats().active, 1);
+
+      finish({});
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(extractors.processSlots.stats().active, 0);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+// Retained downloads and evicting them for disk space
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../lib/file-store');
+
+let dir;
+let store;
+
+// Helper function to add a file of size bytes to the store
+const addFile = async (name, size) => {
+  const source = path.join(dir, `${name}.tmp`);
+  await fs.writeFile(source, Buffer.alloc(size));
+  return store.add(source, { fileName: `${name}.mp4`, contentType: 'video/mp4', key: name });
+};
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-store-test-'));
+  store = createFileStore({ dir: path.join(dir, 'files'), retentionMs: 60 * 1000 });
+});
+
+afterEach(async () => {
+  await fs.remove(dir);
+});
+
+describe('fileStore.evict', () => {
+  it('removes the files that expire soonest until enough is freed', async () => {
+    const first = await addFile('first', 1000);
+    const second = await addFile('second', 1000);
+    assert.strictEqual(await store.evict(500), 1000);
+    assert.strictEqual(await store.get(first.token), null);
+    assert.ok(await store.get(second.token));
+  });
+
+  it('keeps every file when removing all of them would not be enough', async () => {
+    const first = await addFile('first', 1000);
+    const second = await addFile('second', 1000);
+    assert.strictEqual(await store.evict(5000), 0);
+    assert.ok(await store.get(first.token));
+    assert.ok(await store.findByKey('second'));
+    assert.ok(await fs.pathExists(second.filePath));
+  });
+});
@@ -0,0 +1,268 @@
+// The shared route handlers, through the Express app and the fake extractor
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const { startServer, waitForJob } = require('./helpers');
+
+const VIDEO_URL = 'https://www.youtube.com/watch?v=fakevideo01';
+const PLAYLIST_URL = 'https://www.youtube.com/playlist?list=PLabcdefghijk';
+// Every generated fake media file has this many bytes
+const MEDIA_SIZE = 64 * 1024;
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+// Helper function to GET a path and read the JSON answer
+const getJson = async (pathname) => {
+  const res = await server.request(pathname);
+  return { status: res.status, headers: res.headers, body: await res.json() };
+};
+
+describe('health', () => {
+  it('answers the liveness check', async () => {
+    const { status, body } = await getJson('/api/health/live');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'OK');
+  });
+
+  it('reports ready with the fake extractor', async () => {
+    const { status, body } = await getJson('/api/health/ready');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.checks.ytdlp.version, 'fake');
+  });
+});
+
+describe('GET /api/video-info', () => {
+  it('summarizes the video', async () => {
+    const { status, headers, body } = await getJson(`/api/video-info?url=${encodeURIComponent(VIDEO_URL)}`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.videoId, 'fakevideo01');
+    assert.strictEqual(body.title, 'Fake Video');
+    assert.ok(['HIT', 'MISS'].includes(headers.get('x-cache')));
+  });
+
+  it('accepts other URL forms of the same video', async () => {
+    const { status, body } = await getJson(`/api/video-info?url=${encodeURIComponent('https://youtu.be/fakevideo01?t=30')}`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.videoId, 'fakevideo01');
+  });
+
+  it('rejects a missing or foreign URL with a code', async () => {
+    for (const url of ['', 'https://vimeo.com/12345']) {
+      const { status, body } = await getJson(`/api/video-info?url=${encodeURIComponent(url)}`);
+      assert.strictEqual(status, 400);
+      assert.ok(body.code, `no code for "${url}"`);
+    }
+  });
+
+  it('maps extractor failures to their error code', async () => {
+    const { status, body } = await getJson(`/api/video-info?url=${encodeURIComponent('https://youtu.be/privatevid1')}`);
+    assert.strictEqual(status, 403);
+    assert.strictEqual(body.code, 'PRIVATE_VIDEO');
+  });
+});
+
+describe('GET /api/playlist-info', () => {
+  it('lists the entries', async () => {
+    const { status, body } = await getJson(`/api/playlist-info?url=${encodeURIComponent(PLAYLIST_URL)}`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.title, 'Fake Playlist');
+    assert.ok(body.entries.length > 1);
+    assert.strictEqual(body.entries[0].id, 'fakevideo01');
+  });
+
+  it('lists a channel by its handle', async () => {
+    const { status, body } = await getJson(`/api/playlist-info?url=${encodeURIComponent('https://www.youtube.com/@fakechannel/videos')}`);
+    assert.strictEqual(status, 200);
+    assert.ok(body.entries.length > 1);
+  });
+
+  it('rejects a single video URL', async () => {
+    const { status, body } = await getJson(`/api/playlist-info?url=${encodeURIComponent(VIDEO_URL)}`);
+    assert.strictEqual(status, 400);
+    assert.ok(body.code);
+  });
+
+  it('rejects a channel tab of playlists, which has no videos to list', async () => {
+    const { status, body } = await getJson(`/api/playlist-info?url=${encodeURIComponent('https://www.youtube.com/@fakechannel/playlists')}`);
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'INVALID_URL');
+    assert.match(body.error, /lists playlists/);
+  });
+});
+
+describe('GET /api/formats', () => {
+  it('lists every stream with boolean video and audio flags', async () => {
+    const { status, body } = await getJson(`/api/formats?url=${encodeURIComponent(VIDEO_URL)}`);
+    assert.strictEqual(status, 200);
+    const combined = body.find(format => format.format_id === '18');
+    assert.strictEqual(combined.hasVideo, true);
+    assert.strictEqual(combined.hasAudio, true);
+    body.forEach(format => {
+      assert.strictEqual(typeof format.hasVideo, 'boolean');
+      assert.strictEqual(typeof format.hasAudio, 'boolean');
+    });
+  });
+});
+
+describe('GET /api/subtitles', () => {
+  it('converts a caption track to SRT', async () => {
+    const res = await server.request(`/api/subtitles?url=${encodeURIComponent(VIDEO_URL)}&lang=en&format=srt`);
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-disposition'), /\.en\.srt/);
+    assert.match(await res.text(), /^1\r?\n\d\d:\d\d:\d\d,\d{3} --> /);
+  });
+
+  it('answers 404 for a language without captions', async () => {
+    const { status, body } = await getJson(`/api/subtitles?url=${encodeURIComponent(VIDEO_URL)}&lang=xx`);
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.code, 'CAPTIONS_NOT_FOUND');
+  });
+
+  it('rejects a missing language or unknown format with a code', async () => {
+    for (const query of ['format=srt', 'lang=en&format=doc']) {
+      const { status, body } = await getJson(`/api/subtitles?url=${encodeURIComponent(VIDEO_URL)}&${query}`);
+      assert.strictEqual(status, 400);
+      assert.strictEqual(body.code, 'INVALID_REQUEST');
+    }
+  });
+});
+
+describe('GET /api/download', () => {
+  it('streams a video that needs no post-processing', async () => {
+    const res = await server.request(`/api/download?url=${encodeURIComponent(VIDEO_URL)}&format=mp4&formatId=18`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('x-download-mode'), 'stream');
+    assert.strictEqual((await res.arrayBuffer()).byteLength, MEDIA_SIZE);
+  });
+
+  it('stages a transcoded download and keeps it under a token', async () => {
+    const res = await server.request(`/api/download?url=${encodeURIComponent(VIDEO_URL)}&format=mp3&audioBitrate=192`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('x-download-mode'), 'staged');
+    assert.match(res.headers.get('content-disposition'), /Fake Video\.mp3/);
+    assert.strictEqual((await res.arrayBuffer()).byteLength, MEDIA_SIZE);
+
+    const token = res.headers.get('x-download-token');
+    const ranged = await server.request(`/api/files/${token}`, { headers: { Range: 'bytes=0-99' } });
+    assert.strictEqual(ranged.status, 206);
+    assert.strictEqual((await ranged.arrayBuffer()).byteLength, 100);
+  });
+
+  it('rejects an invalid clip or template with a code', async () => {
+    const clip = await getJson(`/api/download?url=${encodeURIComponent(VIDEO_URL)}&start=20&end=10`);
+    assert.strictEqual(clip.status, 400);
+    assert.strictEqual(clip.body.code, 'INVALID_REQUEST');
+    const template = await getJson(`/api/download?url=${encodeURIComponent(VIDEO_URL)}&template=${encodeURIComponent('{nope}')}`);
+    assert.strictEqual(template.status, 400);
+    assert.strictEqual(template.body.code, 'INVALID_TEMPLATE');
+  });
+
+  it('refuses a callbackUrl, which only jobs support', async () => {
+    const { status, body } = await getJson(`/api/download?url=${encodeURIComponent(VIDEO_URL)}&callbackUrl=${encodeURIComponent('https://example.com/hook')}`);
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'CALLBACK_NOT_SUPPORTED');
+  });
+
+  it('answers 404 for an unknown file token', async () => {
+    const { status, body } = await getJson(`/api/files/${'0'.repeat(32)}`);
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.code, 'FILE_NOT_FOUND');
+  });
+});
+
+describe('GET /api/usage', () => {
+  it('describes the anonymous caller', async () => {
+    const { status, body } = await getJson('/api/usage');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.client.type, 'anonymous');
+  });
+});
+
+describe('/api/jobs', () => {
+  it('runs a job and serves its file', async () => {
+    const res = await server.request('/api/jobs', { method: 'POST', json: { url: VIDEO_URL, format: 'm4a' } });
+    assert.strictEqual(res.status, 202);
+    const job = await waitForJob(server.request, (await res.json()).id);
+    assert.strictEqual(job.state, 'completed');
+    assert.strictEqual(job.fileName, 'Fake Video.m4a');
+
+    const file = await server.request(`/api/jobs/${job.id}/file`);
+    assert.strictEqual(file.status, 200);
+    assert.strictEqual((await file.arrayBuffer()).byteLength, MEDIA_SIZE);
+
+    const list = await getJson(`/api/jobs?ids=${job.id},unknown`);
+    assert.deepStrictEqual(list.body.map(entry => entry.id), [job.id]);
+  });
+
+  it('queues a batch from a playlist and zips the files', async () => {
+    const res = await server.request('/api/jobs/batch', {
+      method: 'POST',
+      json: { url: PLAYLIST_URL, ids: ['fakevideo01', 'fakevideo02', 'notinlist'], format: 'm4a' }
+    });
+    assert.strictEqual(res.status, 202);
+    const { jobs } = await res.json();
+    assert.strictEqual(jobs.length, 2);
+    await Promise.all(jobs.map(job => waitForJob(server.request, job.id)));
+
+    const zip = await server.request(`/api/jobs/zip?ids=${jobs.map(job => job.id).join(',')}`);
+    assert.strictEqual(zip.status, 200);
+    assert.strictEqual(zip.headers.get('content-type'), 'application/zip');
+    assert.strictEqual(Buffer.from(await zip.arrayBuffer()).subarray(0, 2).toString(), 'PK');
+  });
+
+  it('refuses a job for a video that cannot be downloaded', async () => {
+    const res = await server.request('/api/jobs', { method: 'POST', json: { url: 'https://youtu.be/geoblocked1' } });
+    // The info lookup fails before a job is created
+    assert.strictEqual(res.status, 451);
+    assert.strictEqual((await res.json()).code, 'GEO_BLOCKED');
+  });
+
+  it('streams progress events until the job finishes', async () => {
+    const res = await server.request('/api/jobs', { method: 'POST', json: { url: VIDEO_URL, format: 'mp3' } });
+    const { id } = await res.json();
+    const events = await server.request(`/api/jobs/${id}/events`);
+    assert.strictEqual(events.headers.get('content-type'), 'text/event-stream');
+    // The server ends the stream after the last state
+    const states = (await events.text()).split('\n')
+      .filter(line => line.startsWith('data: '))
+      .map(line => JSON.parse(line.slice(6)).state);
+    assert.strictEqual(states[states.length - 1], 'completed');
+  });
+
+  it('cancels a job', async () => {
+    const res = await server.request('/api/jobs', { method: 'POST', json: { url: VIDEO_URL, format: 'mp3' } });
+    const { id } = await res.json();
+    const cancelled = await server.request(`/api/jobs/${id}`, { method: 'DELETE' });
+    assert.strictEqual(cancelled.status, 200);
+    assert.ok(['cancelled', 'completed'].includes((await cancelled.json()).state));
+  });
+
+  it('answers 404 for an unknown job', async () => {
+    const { status, body } = await getJson('/api/jobs/unknown');
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.code, 'JOB_NOT_FOUND');
+  });
+});
+
+describe('/api/subscriptions', () => {
+  it('is off without SUBSCRIPTIONS_ENABLED or API keys', async () => {
+    const { status, body } = await getJson('/api/subscriptions');
+    assert.strictEqual(status, 403);
+    assert.strictEqual(body.code, 'SUBSCRIPTIONS_DISABLED');
+  });
+});
+
+describe('GET /api/metrics', () => {
+  it('serves Prometheus text', async () => {
+    const res = await server.request('/api/metrics');
+    assert.strictEqual(res.status, 200);
+    assert.match(await res.text(), /^youtube_downloader_http_requests_total\{/m);
+  });
+});
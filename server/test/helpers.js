@@ -0,0 +1,60 @@
+// Shared setup for the route tests: the Express app on a random port, backed
+// by the fake extractor (see lib/extractors/fake.js) and a throwaway
+// downloads directory. Settings are read once, so startServer has to come
+// before anything else requires lib/
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+// Start the server with env on top of the test defaults. Resolves with
+// { baseUrl, dir, request, close }; request(path, options) is fetch against
+// the server, with a JSON body when options.json is given
+const startServer = async (env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-downloader-test-'));
+  Object.assign(process.env, {
+    EXTRACTOR: 'fake',
+    FAKE_DOWNLOAD_DELAY_MS: '1',
+    DOWNLOADS_DIR: path.join(dir, 'downloads'),
+    SUBSCRIPTIONS_DIR: path.join(dir, 'data', 'subscriptions'),
+    SUBSCRIPTIONS_OUTPUT_DIR: path.join(dir, 'subscriptions'),
+    API_KEYS_FILE: path.join(dir, 'api-keys.json'),
+    RATE_LIMIT_WINDOW_MS: '0',
+    LOG_LEVEL: 'silent'
+  }, env);
+
+  const app = require('../server');
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = (pathname, { json, headers, ...options } = {}) => fetch(`${baseUrl}${pathname}`, {
+    ...options,
+    headers: json === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+    body: json === undefined ? options.body : JSON.stringify(json)
+  });
+
+  const close = async () => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { baseUrl, dir, request, close };
+};
+
+// Poll a job until it has finished; resolves with its last state
+const waitForJob = async (request, id) => {
+  for (;;) {
+    const job = await (await request(`/api/jobs/${id}`)).json();
+    if (['completed', 'failed', 'cancelled'].includes(job.state)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+module.exports = {
+  startServer,
+  waitForJob
+};
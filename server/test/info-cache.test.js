@@ -0,0 +1,61 @@
+// Cached video info: concurrent lookups of one video share an extractor call,
+// and X-Cache says where the answer came from
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const { startServer } = require('./helpers');
+
+let server;
+let calls;
+
+before(async () => {
+  server = await startServer();
+  // Count the backend's lookups, slowed down so concurrent requests overlap
+  const backend = require('../lib/extractors').getExtractor();
+  const original = backend.getInfo;
+  calls = [];
+  backend.getInfo = async (...args) => {
+    calls.push(args[0]);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return original(...args);
+  };
+});
+
+after(async () => {
+  await server.close();
+});
+
+const infoUrl = (url) => `/api/video-info?url=${encodeURIComponent(url)}`;
+
+describe('video info cache', () => {
+  it('shares one lookup between concurrent requests for the same video', async () => {
+    const responses = await Promise.all([
+      'https://www.youtube.com/watch?v=fakevideo01',
+      'https://youtu.be/fakevideo01',
+      'https://www.youtube.com/shorts/fakevideo01'
+    ].map(url => server.request(infoUrl(url))));
+
+    assert.strictEqual(calls.length, 1);
+    const statuses = responses.map(res => res.headers.get('x-cache')).sort();
+    assert.deepStrictEqual(statuses, ['COALESCED', 'COALESCED', 'MISS']);
+    for (const res of responses) {
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual((await res.json()).videoId, 'fakevideo01');
+    }
+  });
+
+  it('answers later requests from the cache', async () => {
+    const res = await server.request(infoUrl('https://www.youtube.com/watch?v=fakevideo01'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('x-cache'), 'HIT');
+    assert.strictEqual(calls.length, 1);
+  });
+
+  it('looks up another video separately, MISS then HIT', async () => {
+    const url = infoUrl('https://www.youtube.com/watch?v=unicodetitl');
+    const first = await server.request(url);
+    assert.strictEqual(first.headers.get('x-cache'), 'MISS');
+    const second = await server.request(url);
+    assert.strictEqual(second.headers.get('x-cache'), 'HIT');
+    assert.strictEqual(calls.length, 2);
+  });
+});
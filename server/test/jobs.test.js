@@ -0,0 +1,85 @@
+// The job queue with a stand-in extractor and storage
+process.env.LOG_LEVEL = 'silent';
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createJobQueue } = require('../lib/jobs');
+
+let dir;
+let released;
+
+// Downloads that succeed at once without writing anything
+const extractor = {
+  download: () => ({ done: Promise.resolve(), cancel: () => {} })
+};
+
+// Workspaces under dir; removeDir takes the directory away before the
+// download "finishes", like a sweep would
+const createStorage = ({ removeDir }) => ({
+  acquire: async () => {
+    const workspace = {
+      dir: path.join(dir, String(Math.random()).slice(2)),
+      settle: () => {},
+      release: () => { released++; }
+    };
+    if (!removeDir) {
+      await fs.outputFile(path.join(workspace.dir, 'media.m4a'), 'audio');
+    }
+    return workspace;
+  }
+});
+
+// Helper function to resolve with a job once it has finished
+const waitForFinish = (queue, job) => new Promise((resolve) => {
+  const check = () => {
+    if (queue.isFinished(job)) {
+      unsubscribe();
+      resolve(job);
+    }
+  };
+  const unsubscribe = queue.subscribe(check);
+  check();
+});
+
+const createJob = (queue) => queue.create({
+  url: 'https://www.youtube.com/watch?v=fakevideo01',
+  format: 'm4a',
+  title: 'Fake Video',
+  toFileName: ext => `Fake Video.${ext}`,
+  selection: { video: null, audio: { format: 'm4a' } },
+  estimateBytes: 100
+});
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-test-'));
+  released = 0;
+});
+
+afterEach(async () => {
+  await fs.remove(dir);
+});
+
+describe('job queue', () => {
+  it('completes a job with its downloaded file', async () => {
+    const queue = createJobQueue({ extractor, storage: createStorage({ removeDir: false }), concurrency: 1 });
+    const job = await waitForFinish(queue, createJob(queue));
+    assert.strictEqual(job.state, 'completed');
+    assert.strictEqual(job.fileName, 'Fake Video.m4a');
+    assert.strictEqual(job.fileSize, 5);
+  });
+
+  it('fails a job whose directory is gone and frees its slot', async () => {
+    const queue = createJobQueue({ extractor, storage: createStorage({ removeDir: true }), concurrency: 1 });
+    const first = await waitForFinish(queue, createJob(queue));
+    assert.strictEqual(first.state, 'failed');
+    assert.strictEqual(first.error, 'Downloaded file not found');
+    assert.strictEqual(released, 1);
+
+    // Only runs if the failed job gave its slot back
+    const second = await waitForFinish(queue, createJob(queue));
+    assert.strictEqual(second.state, 'failed');
+    assert.strictEqual(queue.stats().running, 0);
+  });
+});
@@ -0,0 +1,98 @@
+// Range requests on retained files, which resuming a download relies on
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const { startServer } = require('./helpers');
+
+const VIDEO_URL = 'https://www.youtube.com/watch?v=fakevideo01';
+// Every generated fake media file has this many bytes
+const MEDIA_SIZE = 64 * 1024;
+
+let server;
+let parseRange;
+let fileUrl;
+let etag;
+let lastModified;
+
+before(async () => {
+  server = await startServer();
+  ({ parseRange } = require('../lib/ranges'));
+  const res = await server.request(`/api/download?url=${encodeURIComponent(VIDEO_URL)}&format=mp3&audioBitrate=192`);
+  await res.arrayBuffer();
+  fileUrl = `/api/files/${res.headers.get('x-download-token')}`;
+  etag = res.headers.get('etag');
+  lastModified = res.headers.get('last-modified');
+});
+
+after(async () => {
+  await server.close();
+});
+
+describe('parseRange', () => {
+  [
+    [undefined, null],
+    ['bytes=0-99', { start: 0, end: 99 }],
+    ['bytes=100-', { start: 100, end: 999 }],
+    ['bytes=-100', { start: 900, end: 999 }],
+    ['bytes=-5000', { start: 0, end: 999 }],
+    ['bytes=990-5000', { start: 990, end: 999 }],
+    ['bytes=1000-', 'unsatisfiable'],
+    ['bytes=50-10', 'unsatisfiable'],
+    ['bytes=0-1,5-6', null],
+    ['bytes=-', null],
+    ['items=0-99', null]
+  ].forEach(([header, expected]) => {
+    it(`reads ${JSON.stringify(header)} of 1000 bytes`, () => {
+      assert.deepStrictEqual(parseRange(header, 1000), expected);
+    });
+  });
+});
+
+describe('GET /api/files/:token', () => {
+  it('sends the part after the given offset', async () => {
+    const res = await server.request(fileUrl, { headers: { Range: 'bytes=65000-' } });
+    assert.strictEqual(res.status, 206);
+    assert.strictEqual(res.headers.get('content-range'), `bytes 65000-${MEDIA_SIZE - 1}/${MEDIA_SIZE}`);
+    assert.strictEqual((await res.arrayBuffer()).byteLength, MEDIA_SIZE - 65000);
+  });
+
+  it('honours If-Range with the current ETag', async () => {
+    const res = await server.request(fileUrl, { headers: { Range: 'bytes=0-99', 'If-Range': etag } });
+    assert.strictEqual(res.status, 206);
+    assert.strictEqual((await res.arrayBuffer()).byteLength, 100);
+  });
+
+  it('sends the whole file when If-Range names another version', async () => {
+    for (const ifRange of ['"stale-etag"', 'Thu, 01 Jan 1970 00:00:00 GMT']) {
+      const res = await server.request(fileUrl, { headers: { Range: 'bytes=0-99', 'If-Range': ifRange } });
+      assert.strictEqual(res.status, 200, `If-Range: ${ifRange}`);
+      assert.strictEqual(res.headers.get('content-range'), null);
+      assert.strictEqual((await res.arrayBuffer()).byteLength, MEDIA_SIZE);
+    }
+  });
+
+  it('honours If-Range with the Last-Modified date', async () => {
+    const res = await server.request(fileUrl, { headers: { Range: 'bytes=0-99', 'If-Range': lastModified } });
+    assert.strictEqual(res.status, 206);
+    await res.arrayBuffer();
+  });
+
+  it('answers 416 with the size for a range past the end', async () => {
+    const res = await server.request(fileUrl, { headers: { Range: `bytes=${MEDIA_SIZE}-` } });
+    assert.strictEqual(res.status, 416);
+    assert.strictEqual(res.headers.get('content-range'), `bytes */${MEDIA_SIZE}`);
+    await res.arrayBuffer();
+  });
+
+  it('answers HEAD with the headers only', async () => {
+    const res = await server.request(fileUrl, { method: 'HEAD' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-length'), String(MEDIA_SIZE));
+    assert.strictEqual(res.headers.get('accept-ranges'), 'bytes');
+    assert.strictEqual(res.headers.get('etag'), etag);
+    assert.strictEqual((await res.arrayBuffer()).byteLength, 0);
+
+    const ranged = await server.request(fileUrl, { method: 'HEAD', headers: { Range: 'bytes=0-99' } });
+    assert.strictEqual(ranged.status, 206);
+    assert.strictEqual(ranged.headers.get('content-length'), '100');
+  });
+});
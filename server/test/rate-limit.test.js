@@ -0,0 +1,42 @@
+// Per-client rate limits, with a small info limit in a one-minute window
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const { startServer, waitForJob } = require('./helpers');
+
+const INFO_URL = `/api/video-info?url=${encodeURIComponent('https://www.youtube.com/watch?v=fakevideo01')}`;
+
+let server;
+
+before(async () => {
+  server = await startServer({ RATE_LIMIT_WINDOW_MS: '60000', RATE_LIMIT_INFO_MAX: '2' });
+});
+
+after(async () => {
+  await server.close();
+});
+
+describe('rate limits', () => {
+  it('answers 429 with a code and Retry-After once the client is over its limit', async () => {
+    for (let i = 0; i < 2; i++) {
+      const res = await server.request(INFO_URL);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers.get('ratelimit-limit'), '2');
+      assert.strictEqual(res.headers.get('ratelimit-remaining'), String(1 - i));
+    }
+
+    const limited = await server.request(INFO_URL);
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual((await limited.json()).code, 'RATE_LIMITED');
+    const retryAfter = Number(limited.headers.get('retry-after'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60, `Retry-After was ${retryAfter}`);
+  });
+
+  it('counts downloads separately from info lookups', async () => {
+    const res = await server.request('/api/jobs', {
+      method: 'POST',
+      json: { url: 'https://www.youtube.com/watch?v=fakevideo01', format: 'm4a' }
+    });
+    assert.strictEqual(res.status, 202);
+    await waitForJob(server.request, (await res.json()).id);
+  });
+});
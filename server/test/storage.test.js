@@ -0,0 +1,77 @@
+// The disk budget, and what happens to callers waiting for space
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+let dir;
+let storage;
+
+// Helper function to fill the downloads directory with a file nothing evicts
+const addLooseFile = (size) => fs.outputFile(path.join(dir, 'downloads', 'loose.bin'), Buffer.alloc(size));
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+  storage = createStorage({
+    rootDir: path.join(dir, 'downloads'),
+    budgetBytes: 10000,
+    maxQueue: 5,
+    defaultEstimateBytes: 1000,
+    maxAgeMs: 60 * 1000
+  });
+});
+
+afterEach(async () => {
+  await fs.remove(dir);
+});
+
+describe('storage.acquire', () => {
+  it('counts what is on disk as used', async () => {
+    await addLooseFile(6000);
+    const stats = await storage.stats();
+    assert.strictEqual(stats.usedBytes, 6000);
+    assert.strictEqual(stats.availableBytes, 4000);
+  });
+
+  it('fails a download that cannot fit with nothing else running', async () => {
+    await addLooseFile(9500);
+    await assert.rejects(storage.acquire({ estimateBytes: 1000, force: true }), { status: 507, code: 'INSUFFICIENT_STORAGE' });
+
+    const workspace = await storage.acquire({ estimateBytes: 100 });
+    await workspace.release();
+  });
+
+  it('fails a waiting download that still cannot fit, letting the next one in', async () => {
+    await addLooseFile(9000);
+    const running = await storage.acquire({ estimateBytes: 800 });
+    const large = storage.acquire({ estimateBytes: 1000, force: true });
+    const small = storage.acquire({ estimateBytes: 100 });
+    await storage.sweep();
+    assert.strictEqual((await storage.stats()).waiting, 2);
+
+    // The run leaves 500 bytes behind, so the large download can never fit
+    await fs.outputFile(path.join(dir, 'downloads', 'kept.bin'), Buffer.alloc(500));
+    await running.release();
+    await assert.rejects(large, { status: 507, code: 'INSUFFICIENT_STORAGE' });
+    const workspace = await small;
+    assert.strictEqual((await storage.stats()).waiting, 0);
+    await workspace.release();
+  });
+
+  it('keeps a download waiting while a run may still free space', async () => {
+    await addLooseFile(5000);
+    const running = await storage.acquire({ estimateBytes: 4500 });
+    let granted = false;
+    const waiting = storage.acquire({ estimateBytes: 1000 }).then((workspace) => {
+      granted = true;
+      return workspace;
+    });
+    await storage.sweep();
+    assert.strictEqual(granted, false);
+
+    await running.release();
+    await (await waiting).release();
+  });
+});
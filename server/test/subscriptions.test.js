@@ -0,0 +1,96 @@
+// The /api/subscriptions routes with subscriptions turned on and no API keys.
+// Their downloads may take up just over one fake media file, so a check
+// stops after the second
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const PLAYLIST_URL = 'https://www.youtube.com/playlist?list=PLabcdefghijk';
+const CHANNEL_URL = 'https://www.youtube.com/@fakechannel/videos';
+// Every generated fake media file has this many bytes
+const MEDIA_SIZE = 64 * 1024;
+
+let server;
+
+before(async () => {
+  server = await startServer({ SUBSCRIPTIONS_ENABLED: 'true', SUBSCRIPTIONS_MAX_BYTES: String(MEDIA_SIZE + 1) });
+});
+
+after(async () => {
+  await server.close();
+});
+
+// Helper function to subscribe; resolves with the response and its JSON
+const subscribe = async (json) => {
+  const res = await server.request('/api/subscriptions', { method: 'POST', json });
+  return { status: res.status, body: await res.json() };
+};
+
+// Helper function to poll a subscription until its check has finished
+const waitForCheck = async (id) => {
+  for (;;) {
+    const subscription = await (await server.request(`/api/subscriptions/${id}`)).json();
+    if (!subscription.checking) {
+      return subscription;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('/api/subscriptions', () => {
+  let playlist;
+
+  it('subscribes to a playlist and downloads its videos into its own folder', async () => {
+    const { status, body } = await subscribe({ url: PLAYLIST_URL, format: 'm4a', backfill: true });
+    assert.strictEqual(status, 201);
+    playlist = body;
+    assert.strictEqual(playlist.folder, `Fake Playlist (${playlist.id.slice(0, 8)})`);
+
+    const res = await server.request(`/api/subscriptions/${playlist.id}/check`, { method: 'POST' });
+    assert.strictEqual(res.status, 202);
+    const checked = await waitForCheck(playlist.id);
+    const files = fs.readdirSync(path.join(server.dir, 'subscriptions', playlist.folder));
+    assert.strictEqual(files.length, checked.downloadedCount);
+  });
+
+  it('stops downloading once the downloads reach SUBSCRIPTIONS_MAX_BYTES', async () => {
+    const checked = await waitForCheck(playlist.id);
+    assert.strictEqual(checked.downloadedCount, 2);
+    assert.strictEqual(checked.lastErrorCode, 'SUBSCRIPTIONS_FULL');
+  });
+
+  it('keeps collections with the same title in separate folders', async () => {
+    const { status, body } = await subscribe({ url: CHANNEL_URL });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.title, playlist.title);
+    assert.notStrictEqual(body.folder, playlist.folder);
+  });
+
+  it('refuses a second subscription to the same collection', async () => {
+    const { status, body } = await subscribe({ url: PLAYLIST_URL });
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.code, 'SUBSCRIPTION_EXISTS');
+  });
+
+  it('rejects invalid settings with a code', async () => {
+    const { status, body } = await subscribe({ url: PLAYLIST_URL, intervalMinutes: 1 });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'INVALID_REQUEST');
+  });
+
+  it('pauses, lists and removes a subscription', async () => {
+    const paused = await server.request(`/api/subscriptions/${playlist.id}`, { method: 'PATCH', json: { enabled: false } });
+    assert.strictEqual((await paused.json()).enabled, false);
+
+    const listed = await (await server.request('/api/subscriptions')).json();
+    assert.ok(listed.some(subscription => subscription.id === playlist.id));
+
+    const removed = await server.request(`/api/subscriptions/${playlist.id}`, { method: 'DELETE' });
+    assert.strictEqual(removed.status, 204);
+    const gone = await server.request(`/api/subscriptions/${playlist.id}`);
+    assert.strictEqual(gone.status, 404);
+    assert.strictEqual((await gone.json()).code, 'SUBSCRIPTION_NOT_FOUND');
+  });
+});
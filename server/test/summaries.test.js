@@ -0,0 +1,21 @@
+// The listing shapes the API and the CLI print
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { toFormatList } = require('../lib/summaries');
+
+describe('toFormatList', () => {
+  it('flags video and audio streams with booleans', () => {
+    const [combined, videoOnly, unknown] = toFormatList({
+      formats: [
+        { format_id: '18', ext: 'mp4', vcodec: 'avc1.42001E', acodec: 'mp4a.40.2', height: 360 },
+        { format_id: '137', ext: 'mp4', vcodec: 'avc1.640028', acodec: 'none', height: 1080 },
+        // Storyboards and some live formats leave the codecs out
+        { format_id: 'sb0', ext: 'mhtml' }
+      ]
+    });
+    assert.deepStrictEqual([combined.hasVideo, combined.hasAudio], [true, true]);
+    assert.deepStrictEqual([videoOnly.hasVideo, videoOnly.hasAudio], [true, false]);
+    assert.deepStrictEqual([unknown.hasVideo, unknown.hasAudio], [false, false]);
+    assert.strictEqual(unknown.vcodec, 'none');
+  });
+});
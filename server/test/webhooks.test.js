@@ -0,0 +1,134 @@
+// callbackUrl webhooks: which hosts are accepted, and a signed delivery to a
+// local receiver (allowed through WEBHOOK_ALLOWED_HOSTS, being loopback)
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const { startServer, waitForJob } = require('./helpers');
+
+const VIDEO_URL = 'https://www.youtube.com/watch?v=fakevideo01';
+const SECRET = 'test-webhook-secret';
+
+let server;
+let createWebhooks;
+
+before(async () => {
+  server = await startServer({ WEBHOOK_SECRET: SECRET, WEBHOOK_ALLOWED_HOSTS: '127.0.0.1' });
+  ({ createWebhooks } = require('../lib/webhooks'));
+});
+
+after(async () => {
+  await server.close();
+});
+
+// Helper function to build webhooks without an allowlist, resolving every
+// host name to address and recording the URLs posted to
+const withoutAllowlist = (address) => {
+  const posted = [];
+  const webhooks = createWebhooks({
+    secret: SECRET,
+    maxAttempts: 1,
+    baseDelayMs: 1,
+    timeoutMs: 1000,
+    allowedHosts: [],
+    lookup: async () => [{ address: address() }],
+    fetch: async (url) => {
+      posted.push(url);
+      return { status: 204, body: null };
+    }
+  });
+  return { webhooks, posted };
+};
+
+describe('validateCallbackUrl', () => {
+  const PRIVATE = [
+    'http://127.0.0.1/hook',
+    'http://localhost:8080/hook',
+    'http://10.1.2.3/hook',
+    'http://172.20.0.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://100.64.0.1/hook',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[fe80::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook'
+  ];
+
+  PRIVATE.forEach((callbackUrl) => {
+    it(`refuses ${callbackUrl}`, async () => {
+      // localhost is resolved, the literals are checked as they are
+      const { webhooks } = withoutAllowlist(() => '127.0.0.1');
+      await assert.rejects(webhooks.validateCallbackUrl(callbackUrl), { status: 400, code: 'INVALID_CALLBACK_URL' });
+    });
+  });
+
+  it('refuses a host name that resolves to a private address', async () => {
+    const { webhooks } = withoutAllowlist(() => '10.0.0.5');
+    await assert.rejects(webhooks.validateCallbackUrl('https://hooks.example.com/'), { code: 'INVALID_CALLBACK_URL' });
+  });
+
+  it('accepts public hosts', async () => {
+    const { webhooks } = withoutAllowlist(() => '93.184.216.34');
+    assert.strictEqual(await webhooks.validateCallbackUrl('https://hooks.example.com/x'), 'https://hooks.example.com/x');
+    assert.strictEqual(await webhooks.validateCallbackUrl('http://93.184.216.34/x'), 'http://93.184.216.34/x');
+  });
+
+  it('does not post once the host resolves to a private address', async () => {
+    let address = '93.184.216.34';
+    const { webhooks, posted } = withoutAllowlist(() => address);
+    await webhooks.validateCallbackUrl('https://hooks.example.com/x');
+    address = '127.0.0.1';
+    assert.strictEqual(await webhooks.deliver('https://hooks.example.com/x', 'download.completed', {}), false);
+    assert.deepStrictEqual(posted, []);
+  });
+
+  it('only accepts listed hosts when there is an allowlist', async () => {
+    const res = await server.request('/api/jobs', {
+      method: 'POST',
+      json: { url: VIDEO_URL, callbackUrl: 'http://localhost/hook' }
+    });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).code, 'INVALID_CALLBACK_URL');
+  });
+});
+
+describe('job callbacks', () => {
+  it('POSTs the signed outcome once the job completes', async () => {
+    const receiver = http.createServer();
+    receiver.listen(0, '127.0.0.1');
+    await once(receiver, 'listening');
+    const received = new Promise((resolve) => {
+      receiver.on('request', (req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          res.statusCode = 204;
+          res.end();
+          resolve({ headers: req.headers, body });
+        });
+      });
+    });
+
+    try {
+      const res = await server.request('/api/jobs', {
+        method: 'POST',
+        json: { url: VIDEO_URL, format: 'm4a', callbackUrl: `http://127.0.0.1:${receiver.address().port}/hook` }
+      });
+      assert.strictEqual(res.status, 202);
+      const job = await waitForJob(server.request, (await res.json()).id);
+
+      const { headers, body } = await received;
+      const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+      assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+      assert.strictEqual(headers['x-webhook-event'], 'download.completed');
+      const { data } = JSON.parse(body);
+      assert.strictEqual(data.jobId, job.id);
+      assert.strictEqual(data.fileUrl, `/api/jobs/${job.id}/file`);
+    } finally {
+      receiver.close();
+    }
+  });
+});
@@ -0,0 +1,159 @@
+// Every URL form the parser is meant to handle, and the ones it must reject
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { parseYouTubeURL, parseStartTime, getVideoId, requireVideoURL, requireCollectionURL } = require('../lib/youtube-url');
+
+const ID = 'dQw4w9WgXcQ';
+const LIST = 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf';
+const WATCH = `https://www.youtube.com/watch?v=${ID}`;
+
+// [input, expected fields of the result]
+const VALID = [
+  [ID, { kind: 'video', videoId: ID, canonicalUrl: WATCH }],
+  [`  ${ID}  `, { kind: 'video', videoId: ID }],
+  [WATCH, { kind: 'video', videoId: ID, playlistId: null, start: null, canonicalUrl: WATCH }],
+  [`http://www.youtube.com/watch?v=${ID}`, { kind: 'video', canonicalUrl: WATCH }],
+  [`youtube.com/watch?v=${ID}`, { kind: 'video', canonicalUrl: WATCH }],
+  [`www.youtube.com/watch?v=${ID}`, { kind: 'video', canonicalUrl: WATCH }],
+  [`https://WWW.YOUTUBE.COM/watch?v=${ID}`, { kind: 'video', canonicalUrl: WATCH }],
+  [`https://m.youtube.com/watch?v=${ID}&feature=share`, { kind: 'video', canonicalUrl: WATCH }],
+  [`https://music.youtube.com/watch?v=${ID}&si=abc`, { kind: 'video', canonicalUrl: WATCH }],
+  [`https://www.youtube.com/watch?feature=shared&v=${ID}`, { kind: 'video', videoId: ID }],
+  [`https://www.youtube.com/watch?v=${ID}&list=${LIST}&index=3`, { kind: 'video', videoId: ID, playlistId: LIST, canonicalUrl: WATCH }],
+  [`https://www.youtube.com/watch?v=${ID}&list=!`, { kind: 'video', playlistId: null }],
+  [`https://www.youtube.com/watch?v=${ID}&t=90`, { start: 90 }],
+  [`https://www.youtube.com/watch?v=${ID}&t=90s`, { start: 90 }],
+  [`https://www.youtube.com/watch?v=${ID}&t=1m30s`, { start: 90 }],
+  [`https://www.youtube.com/watch?v=${ID}&start=45`, { start: 45 }],
+  [`https://www.youtube.com/watch?v=${ID}#t=1h2m3s`, { start: 3723 }],
+  [`https://www.youtube.com/watch?v=${ID}&t=soon`, { start: null }],
+  [`https://youtu.be/${ID}`, { kind: 'video', videoId: ID, canonicalUrl: WATCH }],
+  [`https://youtu.be/${ID}?t=42`, { kind: 'video', start: 42 }],
+  [`https://youtu.be/${ID}?si=tracking&list=${LIST}`, { kind: 'video', playlistId: LIST }],
+  [`https://www.youtu.be/${ID}`, { kind: 'video', videoId: ID }],
+  [`https://www.youtube.com/shorts/${ID}`, { kind: 'short', videoId: ID, canonicalUrl: WATCH }],
+  [`https://youtube.com/shorts/${ID}?feature=share`, { kind: 'short', videoId: ID }],
+  [`https://www.youtube.com/live/${ID}?si=abc`, { kind: 'live', videoId: ID, canonicalUrl: WATCH }],
+  [`https://www.youtube.com/embed/${ID}`, { kind: 'video', videoId: ID, canonicalUrl: WATCH }],
+  [`https://www.youtube.com/embed/${ID}?start=30`, { kind: 'video', start: 30 }],
+  [`https://www.youtube.com/embed/${ID}?list=${LIST}`, { kind: 'video', videoId: ID, playlistId: LIST }],
+  [`https://www.youtube-nocookie.com/embed/${ID}`, { kind: 'video', videoId: ID, canonicalUrl: WATCH }],
+  [`https://www.youtube.com/v/${ID}`, { kind: 'video', videoId: ID }],
+  [`https://www.youtube.com/e/${ID}`, { kind: 'video', videoId: ID }],
+  [`https://www.youtube.com/embed/videoseries?list=${LIST}`, {
+    kind: 'playlist', videoId: null, playlistId: LIST, canonicalUrl: `https://www.youtube.com/playlist?list=${LIST}`
+  }],
+  [`https://www.youtube-nocookie.com/embed/videoseries?list=${LIST}`, { kind: 'playlist', playlistId: LIST }],
+  [`https://www.youtube.com/embed?listType=playlist&list=${LIST}`, { kind: 'playlist', playlistId: LIST }],
+  [`https://www.youtube.com/playlist?list=${LIST}`, {
+    kind: 'playlist', playlistId: LIST, canonicalUrl: `https://www.youtube.com/playlist?list=${LIST}`
+  }],
+  [`https://music.youtube.com/playlist?list=${LIST}`, { kind: 'playlist', playlistId: LIST }],
+  [`https://www.youtube.com/watch?list=${LIST}`, { kind: 'playlist', playlistId: LIST }],
+  ['https://www.youtube.com/@SomeChannel', {
+    kind: 'channel', channel: '@SomeChannel', canonicalUrl: 'https://www.youtube.com/@SomeChannel/videos'
+  }],
+  ['https://www.youtube.com/@SomeChannel/shorts', { kind: 'channel', canonicalUrl: 'https://www.youtube.com/@SomeChannel/shorts' }],
+  ['https://m.youtube.com/@SomeChannel/streams', { kind: 'channel', canonicalUrl: 'https://www.youtube.com/@SomeChannel/streams' }],
+  ['https://www.youtube.com/channel/UC_x5XG1OV2P6uZZ5FSM9Ttw', {
+    kind: 'channel', channel: 'channel/UC_x5XG1OV2P6uZZ5FSM9Ttw', canonicalUrl: 'https://www.youtube.com/channel/UC_x5XG1OV2P6uZZ5FSM9Ttw/videos'
+  }],
+  ['https://www.youtube.com/channel/UC_x5XG1OV2P6uZZ5FSM9Ttw/featured', { kind: 'channel' }],
+  ['https://www.youtube.com/c/SomeName', { kind: 'channel', canonicalUrl: 'https://www.youtube.com/c/SomeName/videos' }],
+  ['https://www.youtube.com/user/someuser/videos', { kind: 'channel', canonicalUrl: 'https://www.youtube.com/user/someuser/videos' }]
+];
+
+// [input, reason]
+const INVALID = [
+  [undefined, 'MISSING'],
+  ['', 'MISSING'],
+  ['   ', 'MISSING'],
+  ['not a link', 'MALFORMED'],
+  ['https://', 'MALFORMED'],
+  [`ftp://www.youtube.com/watch?v=${ID}`, 'MALFORMED'],
+  [`javascript://www.youtube.com/watch?v=${ID}`, 'MALFORMED'],
+  ['https://vimeo.com/76979871', 'NOT_YOUTUBE'],
+  [`https://www.youtube.com.example.com/watch?v=${ID}`, 'NOT_YOUTUBE'],
+  [`https://notyoutube.com/watch?v=${ID}`, 'NOT_YOUTUBE'],
+  ['dQw4w9WgXc', 'NOT_YOUTUBE'],
+  ['https://www.youtube.com/watch?v=dQw4w9WgXc', 'INVALID_VIDEO_ID'],
+  ['https://www.youtube.com/watch?v=dQw4w9WgXcQQ', 'INVALID_VIDEO_ID'],
+  ['https://www.youtube.com/watch?v=dQw4w9WgX%2FQ', 'INVALID_VIDEO_ID'],
+  ['https://www.youtube.com/watch', 'INVALID_VIDEO_ID'],
+  ['https://youtu.be/', 'INVALID_VIDEO_ID'],
+  ['https://youtu.be/short', 'INVALID_VIDEO_ID'],
+  [`https://youtu.be/${ID}/extra`, 'INVALID_VIDEO_ID'],
+  ['https://www.youtube.com/shorts/', 'INVALID_VIDEO_ID'],
+  ['https://www.youtube.com/embed/', 'INVALID_VIDEO_ID'],
+  ['https://www.youtube.com/embed/not-an-id', 'INVALID_VIDEO_ID'],
+  ['https://www.youtube.com/embed/videoseries', 'INVALID_PLAYLIST_ID'],
+  ['https://www.youtube.com/embed/videoseries?list=!', 'INVALID_PLAYLIST_ID'],
+  ['https://www.youtube.com/playlist', 'INVALID_PLAYLIST_ID'],
+  ['https://www.youtube.com/playlist?list=!!', 'INVALID_PLAYLIST_ID'],
+  ['https://www.youtube.com/', 'UNSUPPORTED_PATH'],
+  ['https://www.youtube.com/feed/trending', 'UNSUPPORTED_PATH'],
+  ['https://www.youtube.com/results?search_query=cats', 'UNSUPPORTED_PATH'],
+  ['https://www.youtube.com/channel', 'UNSUPPORTED_PATH'],
+  ['https://www.youtube.com/channel/UC_x5XG1OV2P6uZZ5FSM9Ttw/about', 'UNSUPPORTED_PATH'],
+  ['https://www.youtube.com/@', 'UNSUPPORTED_PATH'],
+  ['https://www.youtube.com/@SomeChannel/community', 'UNSUPPORTED_PATH'],
+  ['https://www.youtube.com/@SomeChannel/playlists', 'PLAYLIST_TAB'],
+  ['https://www.youtube.com/@SomeChannel/releases', 'PLAYLIST_TAB'],
+  ['https://www.youtube.com/channel/UC_x5XG1OV2P6uZZ5FSM9Ttw/playlists', 'PLAYLIST_TAB'],
+  ['https://www.youtube.com/c/SomeName/playlists', 'PLAYLIST_TAB']
+];
+
+describe('parseYouTubeURL', () => {
+  VALID.forEach(([input, expected]) => {
+    it(`parses ${input}`, () => {
+      const result = parseYouTubeURL(input);
+      assert.strictEqual(result.ok, true, result.error);
+      Object.entries(expected).forEach(([field, value]) => {
+        assert.strictEqual(result[field], value, `${field} of ${input}`);
+      });
+    });
+  });
+
+  INVALID.forEach(([input, reason]) => {
+    it(`rejects ${JSON.stringify(input)} as ${reason}`, () => {
+      const result = parseYouTubeURL(input);
+      assert.strictEqual(result.ok, false);
+      assert.strictEqual(result.reason, reason);
+      assert.ok(result.error);
+    });
+  });
+});
+
+describe('parseStartTime', () => {
+  [['0', 0], ['75', 75], ['75s', 75], ['2m', 120], ['1h', 3600], ['1h0m5s', 3605], ['', null], ['1x', null], ['m', null]]
+    .forEach(([value, seconds]) => {
+      it(`reads "${value}" as ${seconds}`, () => {
+        assert.strictEqual(parseStartTime(value), seconds);
+      });
+    });
+});
+
+describe('getVideoId', () => {
+  it('returns the id of video links only', () => {
+    assert.strictEqual(getVideoId(`https://youtu.be/${ID}`), ID);
+    assert.strictEqual(getVideoId(`https://www.youtube.com/playlist?list=${LIST}`), null);
+    assert.strictEqual(getVideoId('https://vimeo.com/76979871'), null);
+  });
+});
+
+describe('requireVideoURL and requireCollectionURL', () => {
+  it('throw 400s with codes for the wrong kind of link', () => {
+    assert.throws(() => requireVideoURL(`https://www.youtube.com/playlist?list=${LIST}`), { status: 400, code: 'PLAYLIST_URL' });
+    assert.throws(() => requireVideoURL(`https://www.youtube.com/embed/videoseries?list=${LIST}`), { status: 400, code: 'PLAYLIST_URL' });
+    assert.throws(() => requireVideoURL('https://vimeo.com/76979871'), { status: 400, code: 'INVALID_URL' });
+    assert.throws(() => requireCollectionURL(WATCH), { status: 400, code: 'INVALID_URL' });
+    assert.throws(() => requireCollectionURL('https://www.youtube.com/@SomeChannel/playlists'), {
+      status: 400, code: 'INVALID_URL', details: { reason: 'PLAYLIST_TAB' }
+    });
+  });
+
+  it('pass the parsed link through', () => {
+    assert.strictEqual(requireVideoURL(`https://youtu.be/${ID}`).canonicalUrl, WATCH);
+    assert.strictEqual(requireCollectionURL('https://www.youtube.com/@SomeChannel').kind, 'channel');
+  });
+});